@@ -56,6 +56,18 @@ defmodule FlyMapEx do
   * `real_time` - Enable real-time updates via Phoenix channels (default: false)
   * `channel` - Channel topic for real-time updates (e.g., "map:room_id")
   * `update_throttle` - Milliseconds between client updates for throttling (default: 100)
+  * `reconnect` - Reconnect policy overrides for real-time maps: `max_attempts`, `base_delay`,
+    `max_delay`, `jitter` and `recovery_interval` (delays in milliseconds; default: %{})
+  * `version` - `FlyMapEx.SyncLog` version the rendered `marker_groups` correspond to, so
+    the client can catch up on events broadcast after the render (default: nil)
+  * `debug` - Show the real-time hook's debug overlay (event rate, marker count, last
+    payload) and log every channel event (default: false)
+  * `status_events` - Push `map_status` events to the LiveView when the real-time connection
+    status changes; the LiveView must handle them (default: false)
+  * `projection` - Projection the real-time hook places markers and arcs with (`:mercator`,
+    `:robinson`, `:equal_earth` or a name registered with `registerProjection`; default: nil,
+    equirectangular). The server-rendered map and markers are always equirectangular, so only
+    use another projection with a basemap drawn in it; see the API reference
 
   ## Examples
 
@@ -117,9 +129,14 @@ defmodule FlyMapEx do
   attr(:real_time, :boolean, default: false)
   attr(:channel, :string, default: nil)
   attr(:update_throttle, :integer, default: 100)
+  attr(:reconnect, :map, default: %{})
+  attr(:version, :integer, default: nil)
+  attr(:debug, :boolean, default: false)
+  attr(:status_events, :boolean, default: false)
+  attr(:projection, :any, default: nil)
 
   def render(assigns) do
-    alias FlyMapEx.{Theme, Shared, JSON}
+    alias FlyMapEx.{Theme, Shared, JSON, FlyRegions}
     alias FlyMapEx.Components.{WorldMap, LegendComponent}
 
     # Extract initially_visible groups or default to all
@@ -154,6 +171,11 @@ defmodule FlyMapEx do
     # Generate map ID for real-time targeting
     map_id = "fly-region-map-#{:erlang.unique_integer([:positive])}"
 
+    # Only the client projects markers; WorldMap always draws equirectangular
+    client_config =
+      %{bbox: %{minX: 0, minY: 0, maxX: 800, maxY: 391}, update_throttle: update_throttle}
+      |> put_projection(assigns[:projection])
+
     assigns =
       assigns
       |> assign(:marker_groups, normalized_groups)
@@ -167,6 +189,7 @@ defmodule FlyMapEx do
       |> assign(:channel_topic, channel_topic)
       |> assign(:update_throttle, update_throttle)
       |> assign(:map_id, map_id)
+      |> assign(:client_config, client_config)
 
     ~H"""
     <div class={["fly-map-container", @class]}>
@@ -178,12 +201,18 @@ defmodule FlyMapEx do
         "data-initial-state": JSON.encode!(%{
           marker_groups: Shared.convert_coordinates_for_json(@marker_groups),
           theme: @map_theme,
-          config: %{
-            bbox: %{minX: 0, minY: 0, maxX: 800, maxY: 391},
-            update_throttle: @update_throttle
-          }
+          regions: FlyRegions.custom_regions_for_json(),
+          version: @version,
+          config: @client_config
         }),
-        "data-progressive-enhancement": "true"
+        "data-progressive-enhancement": "true",
+        "data-reconnect-max-attempts": @reconnect[:max_attempts],
+        "data-reconnect-base-delay": @reconnect[:base_delay],
+        "data-reconnect-max-delay": @reconnect[:max_delay],
+        "data-reconnect-jitter": @reconnect[:jitter],
+        "data-reconnect-recovery-interval": @reconnect[:recovery_interval],
+        "data-debug": @debug && "true",
+        "data-status-events": @status_events && "true"
       ], else: []}>
         <div class={Shared.layout_container_class(@layout)}>
           <div class={Shared.map_container_class(@layout)}>
@@ -216,4 +245,7 @@ defmodule FlyMapEx do
     </div>
     """
   end
+
+  defp put_projection(config, nil), do: config
+  defp put_projection(config, projection), do: Map.put(config, :projection, to_string(projection))
 end
@@ -134,6 +134,38 @@ defmodule FlyMapEx.FlyRegions do
     Map.new(builtin ++ custom)
   end
 
+  @doc """
+  Returns custom regions from configuration in a JSON-encodable form.
+
+  Used to seed the client-side region registry in `map_coordinates.js` so
+  real-time maps resolve the same custom regions as the server. Coordinate
+  tuples are converted to `[lat, long]` lists; optional `:aliases` are passed
+  through for client-side lookups.
+
+  ## Examples
+
+      iex> FlyMapEx.FlyRegions.custom_regions_for_json()
+      %{"dev" => %{name: "Development", coordinates: [47.6062, -122.3321], aliases: []}}
+  """
+  def custom_regions_for_json do
+    get_custom_regions()
+    |> Enum.flat_map(fn
+      {code, %{coordinates: {lat, long}} = region} when is_binary(code) ->
+        [
+          {code,
+           %{
+             name: Map.get(region, :name, code),
+             coordinates: [lat, long],
+             aliases: Map.get(region, :aliases, [])
+           }}
+        ]
+
+      _ ->
+        []
+    end)
+    |> Map.new()
+  end
+
   @doc """
    Returns the total number of available Fly.io regions.
   """
@@ -0,0 +1,139 @@
+defmodule FlyMapEx.SyncLog do
+  @moduledoc """
+  Versioned event log for real-time map channels.
+
+  Every event a map channel broadcasts carries a `version` that increases by
+  one per event. The client hook applies events in version order, discards
+  events older than its state, and asks for a `state_sync` when it sees a
+  gap. The log keeps the most recent events so it can answer with just the
+  missed events (a delta), and falls back to a full `marker_state` snapshot
+  when the client is too far behind.
+
+  The log is a plain struct; keep one per map topic wherever the channel's
+  state lives (an Agent, a GenServer or the channel's own assigns).
+
+  ## Usage
+
+      log = FlyMapEx.SyncLog.new(max_events: 200)
+
+      # Version an event and broadcast it
+      update = %{group_id: "web", markers: nodes}
+      {log, payload} = FlyMapEx.SyncLog.record(log, "marker_update", update)
+      MyAppWeb.Endpoint.broadcast(topic, "marker_update", payload)
+
+      # Answer a client's state_sync request
+      def handle_in("state_sync", %{"client_state" => client_state}, socket) do
+        reply = FlyMapEx.SyncLog.sync_reply(log(), client_state, &current_map_state/0)
+        {:reply, {:ok, reply}, socket}
+      end
+
+  ## Replies
+
+  - `%{status: "in_sync", version: v}` - the client is up to date
+  - `%{status: "delta", version: v, events: [%{event: name, payload: payload}]}` -
+    the events after the client's version, in order
+  - `%{status: "snapshot", version: v, state: state}` - a full `marker_state`
+    payload; sent when the client has no version, asks for `full: true`, or
+    its version is older than the log reaches
+  """
+
+  @default_max_events 100
+
+  defstruct version: 0, events: [], max_events: @default_max_events
+
+  @doc """
+  Create an empty log.
+
+  ## Options
+
+  - `:version` - Version to start from (default: 0)
+  - `:max_events` - Number of recent events kept for deltas (default: #{@default_max_events})
+  """
+  def new(opts \\ []) do
+    %__MODULE__{
+      version: Keyword.get(opts, :version, 0),
+      max_events: Keyword.get(opts, :max_events, @default_max_events)
+    }
+  end
+
+  @doc """
+  Record an event, returning the updated log and the payload with its
+  `version` added, ready to broadcast.
+
+  Recording a `"marker_state"` snapshot clears the older events, since a
+  client that misses it needs the full state anyway.
+  """
+  def record(%__MODULE__{} = log, event, payload) when is_binary(event) and is_map(payload) do
+    version = log.version + 1
+    payload = Map.put(payload, :version, version)
+    entry = %{version: version, event: event, payload: payload}
+
+    events =
+      if event == "marker_state" do
+        [entry]
+      else
+        Enum.take([entry | log.events], log.max_events)
+      end
+
+    {%{log | version: version, events: events}, payload}
+  end
+
+  @doc """
+  Events recorded after `version`, oldest first.
+
+  Returns `{:ok, events}`, or `:too_old` if some of the events have already
+  been dropped from the log. A version ahead of the log (e.g. from before a
+  server restart) is also `:too_old`.
+  """
+  def since(%__MODULE__{} = log, version) when is_integer(version) do
+    cond do
+      version == log.version ->
+        {:ok, []}
+
+      version > log.version or version < oldest_version(log) - 1 ->
+        :too_old
+
+      true ->
+        events =
+          log.events
+          |> Enum.take_while(&(&1.version > version))
+          |> Enum.reverse()
+          |> Enum.map(&Map.take(&1, [:event, :payload]))
+
+        {:ok, events}
+    end
+  end
+
+  @doc """
+  Build the reply to a client's `state_sync` request.
+
+  `client_state` is the map the hook sends (`"version"` and optionally
+  `"full"`). `state` is the current `marker_state` payload, or a function
+  returning it, so a snapshot is only built when one is needed.
+  """
+  def sync_reply(%__MODULE__{} = log, client_state, state) do
+    client_version = client_state["version"]
+
+    result =
+      if is_integer(client_version) and client_state["full"] != true do
+        since(log, client_version)
+      else
+        :too_old
+      end
+
+    case result do
+      {:ok, []} ->
+        %{status: "in_sync", version: log.version}
+
+      {:ok, events} ->
+        %{status: "delta", version: log.version, events: events}
+
+      :too_old ->
+        state = if is_function(state, 0), do: state.(), else: state
+        %{status: "snapshot", version: log.version, state: Map.put(state, :version, log.version)}
+    end
+  end
+
+  defp oldest_version(%__MODULE__{events: []} = log), do: log.version + 1
+  defp oldest_version(%__MODULE__{events: events}), do: List.last(events).version
+end
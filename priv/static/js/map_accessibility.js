@@ -0,0 +1,154 @@
+/**
+ * Accessibility helpers for FlyMapEx real-time maps.
+ *
+ * Provides the pieces the hook uses to make client-rendered markers usable
+ * without a pointer: directional keyboard navigation between markers, an
+ * ARIA live region for announcing changes, and the reduced-motion
+ * preference that turns off decorative animation.
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Check whether the user has asked for reduced motion.
+ *
+ * @returns {boolean} True if animations should be skipped
+ */
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' &&
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Watch for changes to the reduced-motion preference.
+ *
+ * @param {Function} callback - Called with the new preference (boolean)
+ * @returns {Function} Stops watching
+ */
+export function onReducedMotionChange(callback) {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return () => {};
+  }
+
+  const query = window.matchMedia(REDUCED_MOTION_QUERY);
+  const listener = (event) => callback(event.matches);
+
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+}
+
+/**
+ * Find the nearest point in an arrow-key direction.
+ *
+ * Points within 45 degrees of the direction are preferred; if there are
+ * none, anything on that side of the starting point is considered. Points
+ * off the direction's axis count as further away.
+ *
+ * @param {Object} from - Starting point {x, y}
+ * @param {Array} candidates - Points [{x, y, ...}, ...]
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {Object|null} Nearest candidate, or null if there is none that way
+ *
+ * @example
+ * findNearestInDirection({x: 0, y: 0}, [{x: 10, y: 2}, {x: -5, y: 0}], 'right')
+ * // => {x: 10, y: 2}
+ */
+export function findNearestInDirection(from, candidates, direction) {
+  const axis = {
+    left: {x: -1, y: 0},
+    right: {x: 1, y: 0},
+    up: {x: 0, y: -1},
+    down: {x: 0, y: 1}
+  }[direction];
+
+  if (!axis) {
+    return null;
+  }
+
+  let best = null;
+  let bestScore = Infinity;
+  let bestInCone = false;
+
+  candidates.forEach(candidate => {
+    const dx = candidate.x - from.x;
+    const dy = candidate.y - from.y;
+    const along = dx * axis.x + dy * axis.y;
+    const across = Math.abs(dx * axis.y - dy * axis.x);
+
+    if (along <= 0) {
+      return;
+    }
+
+    const inCone = across <= along;
+    const score = along + across * 2;
+
+    if ((inCone && !bestInCone) || (inCone === bestInCone && score < bestScore)) {
+      best = candidate;
+      bestScore = score;
+      bestInCone = inCone;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Create a visually hidden ARIA live region.
+ *
+ * @param {HTMLElement} container - Element to append the region to
+ * @param {Object} options - Live region options
+ * @param {string} options.politeness - 'polite' (default) or 'assertive'
+ * @returns {Object} Live region controller {announce, destroy}
+ *
+ * @example
+ * const liveRegion = createLiveRegion(hook.el);
+ * liveRegion.announce('Added web-1, Frankfurt (fra), Production');
+ */
+export function createLiveRegion(container, options = {}) {
+  const element = document.createElement('div');
+  element.className = 'fly-map-live-region';
+  element.setAttribute('role', 'status');
+  element.setAttribute('aria-live', options.politeness || 'polite');
+  element.setAttribute('aria-atomic', 'true');
+
+  // Visually hidden but still read by screen readers
+  Object.assign(element.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    padding: '0',
+    margin: '-1px',
+    overflow: 'hidden',
+    clip: 'rect(0, 0, 0, 0)',
+    whiteSpace: 'nowrap',
+    border: '0'
+  });
+
+  container.appendChild(element);
+
+  // Messages in the same tick are read together rather than replacing each other
+  let pending = [];
+  let timer = null;
+
+  function announce(message) {
+    if (!message) return;
+
+    pending.push(message);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      element.textContent = pending.join('. ');
+      pending = [];
+    }, 100);
+  }
+
+  function destroy() {
+    clearTimeout(timer);
+    element.remove();
+  }
+
+  return {
+    announce,
+    destroy
+  };
+}
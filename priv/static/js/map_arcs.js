@@ -0,0 +1,334 @@
+/**
+ * Connection arc rendering for FlyMapEx real-time maps.
+ *
+ * Draws great-circle curves between regions or coordinates, for showing
+ * traffic and replication links between markers. Arcs are projected with
+ * the same coordinate utilities as markers so both line up on any basemap.
+ */
+
+import {
+  getRegionCoordinates,
+  wgs84ToSvg,
+  MAP_BBOX,
+  DEFAULT_PROJECTION
+} from './map_coordinates.js';
+import { MARKER_CONFIG } from './map_markers.js';
+import { prefersReducedMotion } from './map_accessibility.js';
+
+/**
+ * Default arc configuration.
+ */
+export const ARC_CONFIG = {
+  segments: 64,
+  defaultColour: '#6b7280',
+  defaultWidth: 1.5,
+  defaultOpacity: 0.8,
+  flowDash: [6, 4]
+};
+
+/**
+ * Resolve an arc endpoint to geographic coordinates.
+ *
+ * @param {string|Object|Array} endpoint - Region code, {lat, lng} or [lat, lng]
+ * @returns {Object|null} Coordinates {lat, lng} or null if invalid
+ *
+ * @example
+ * arcEndpointToLatLng("sjc") // => {lat: 37, lng: -122}
+ * arcEndpointToLatLng([51, 0]) // => {lat: 51, lng: 0}
+ */
+export function arcEndpointToLatLng(endpoint) {
+  if (typeof endpoint === 'string') {
+    return getRegionCoordinates(endpoint);
+  }
+
+  if (Array.isArray(endpoint) && endpoint.length === 2) {
+    const [lat, lng] = endpoint;
+    return {lat, lng};
+  }
+
+  if (endpoint && typeof endpoint.lat === 'number' && typeof endpoint.lng === 'number') {
+    return {lat: endpoint.lat, lng: endpoint.lng};
+  }
+
+  return null;
+}
+
+/**
+ * Interpolate a single point along the great circle between two coordinates.
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @param {number} t - Fraction of the way from start to end (0 to 1)
+ * @returns {Object} Coordinates {lat, lng}
+ *
+ * @example
+ * interpolateGreatCircle({lat: 0, lng: 0}, {lat: 0, lng: 90}, 0.5) // => {lat: 0, lng: 45}
+ */
+export function interpolateGreatCircle(from, to, t) {
+  const angle = greatCircleAngle(from, to);
+
+  // Identical or antipodal endpoints have no unique great circle
+  if (angle < 1e-9 || Math.abs(angle - Math.PI) < 1e-9) {
+    return t < 1 ? from : to;
+  }
+
+  const a = toVector(from);
+  const b = toVector(to);
+  const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+  const wb = Math.sin(t * angle) / Math.sin(angle);
+  return toLatLng([
+    wa * a[0] + wb * b[0],
+    wa * a[1] + wb * b[1],
+    wa * a[2] + wb * b[2]
+  ]);
+}
+
+/**
+ * Interpolate points along the great circle between two coordinates.
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @param {number} segments - Number of segments
+ * @returns {Array} Coordinates [{lat, lng}, ...] including both endpoints
+ */
+export function greatCirclePoints(from, to, segments = ARC_CONFIG.segments) {
+  const angle = greatCircleAngle(from, to);
+
+  // Identical or antipodal endpoints have no unique great circle
+  if (angle < 1e-9 || Math.abs(angle - Math.PI) < 1e-9) {
+    return [from, to];
+  }
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    points.push(interpolateGreatCircle(from, to, i / segments));
+  }
+
+  return points;
+}
+
+/**
+ * Build SVG path data for a great-circle arc.
+ *
+ * The path is broken where it crosses the antimeridian so it doesn't
+ * streak across the whole map.
+ *
+ * @param {Object} from - Start coordinates {lat, lng}
+ * @param {Object} to - End coordinates {lat, lng}
+ * @param {Object} bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} projection - Projection name or object (optional)
+ * @returns {string} SVG path data
+ */
+export function arcPath(from, to, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION) {
+  const halfWidth = (bbox.maxX - bbox.minX) / 2;
+  let previous = null;
+
+  return greatCirclePoints(from, to)
+    .map(({lat, lng}) => {
+      const {x, y} = wgs84ToSvg(lat, lng, bbox, projection);
+      const command = previous && Math.abs(x - previous.x) < halfWidth ? 'L' : 'M';
+      previous = {x, y};
+      return `${command} ${x.toFixed(2)} ${y.toFixed(2)}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Create a new SVG arc element.
+ *
+ * @param {Object} options - Arc creation options
+ * @param {string} options.id - Unique arc ID
+ * @param {string} options.mapId - ID of the map SVG the arc is drawn on (optional)
+ * @param {string|Object|Array} options.from - Start region code or coordinates
+ * @param {string|Object|Array} options.to - End region code or coordinates
+ * @param {Object} options.style - Arc style configuration
+ * @param {Object} options.bbox - Bounding box (optional)
+ * @param {string|Object} options.projection - Projection (optional)
+ * @returns {SVGElement|null} Created arc path, or null if an endpoint is invalid
+ *
+ * @example
+ * const arc = createArc({
+ *   id: 'arc-sjc-fra',
+ *   mapId: 'fly-region-map',
+ *   from: 'sjc',
+ *   to: 'fra',
+ *   style: {colour: '#3b82f6', width: 2, dash: [4, 2], animated: true}
+ * });
+ */
+export function createArc(options) {
+  const {
+    id,
+    mapId,
+    from,
+    to,
+    style = {},
+    bbox = MAP_BBOX,
+    projection = DEFAULT_PROJECTION
+  } = options;
+
+  const start = arcEndpointToLatLng(from);
+  const end = arcEndpointToLatLng(to);
+  if (!start || !end) {
+    return null;
+  }
+
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  path.setAttribute('id', getArcElementId(id, mapId));
+  path.setAttribute('class', 'map-arc');
+  path.setAttribute('data-arc-id', id);
+  path.setAttribute('d', arcPath(start, end, bbox, projection));
+  path.setAttribute('fill', 'none');
+  path.setAttribute('stroke-linecap', 'round');
+  path.setAttribute('vector-effect', 'non-scaling-stroke');
+  path.setAttribute('pointer-events', 'none');
+
+  applyArcStyle(path, style);
+
+  return path;
+}
+
+/**
+ * Get the DOM element ID for an arc.
+ *
+ * Uses the same encoded, ':'-joined parts as marker element IDs, behind an
+ * "arc/" prefix. Encoding never leaves a '/' in a part, so arc IDs can't
+ * collide with marker IDs, and the map ID keeps them unique across maps.
+ *
+ * @param {string} arcId - Arc ID from the server
+ * @param {string} mapId - ID of the map SVG (omitted from the ID if not given)
+ * @returns {string} Element ID
+ *
+ * @example
+ * getArcElementId("arc-sjc-fra", "fly-region-map") // => "arc/fly-region-map:arc-sjc-fra"
+ * getArcElementId("a b") // => "arc/a%20b"
+ */
+export function getArcElementId(arcId, mapId) {
+  const parts = mapId ? [mapId, arcId] : [arcId];
+  return 'arc/' + parts.map(part => encodeURIComponent(String(part))).join(':');
+}
+
+/**
+ * Update an existing arc's endpoints and style.
+ *
+ * @param {string} arcId - ID of arc to update
+ * @param {Object} updates - Updates to apply
+ * @param {string|Object|Array} updates.from - New start (requires updates.to)
+ * @param {string|Object|Array} updates.to - New end (requires updates.from)
+ * @param {Object} updates.style - New style properties, merged with current
+ * @param {Object} bbox - Bounding box (optional)
+ * @param {string|Object} projection - Projection (optional)
+ * @param {Element} root - Map SVG to find the arc in (optional, uses the document if not provided)
+ * @returns {boolean} True if arc was found and updated
+ */
+export function updateArc(arcId, updates, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION, root = document) {
+  const path = findArc(arcId, root);
+  if (!path) {
+    return false;
+  }
+
+  if (updates.from !== undefined && updates.to !== undefined) {
+    const start = arcEndpointToLatLng(updates.from);
+    const end = arcEndpointToLatLng(updates.to);
+    if (!start || !end) {
+      return false;
+    }
+    path.setAttribute('d', arcPath(start, end, bbox, projection));
+  }
+
+  if (updates.style) {
+    applyArcStyle(path, updates.style);
+  }
+
+  return true;
+}
+
+/**
+ * Remove an arc from the map.
+ *
+ * @param {string} arcId - ID of arc to remove
+ * @param {Element} root - Map SVG to find the arc in (optional, uses the document if not provided)
+ * @returns {boolean} True if arc was found and removed
+ */
+export function removeArc(arcId, root = document) {
+  const path = findArc(arcId, root);
+  if (!path) {
+    return false;
+  }
+
+  path.remove();
+  return true;
+}
+
+// Helper functions
+
+function findArc(arcId, root) {
+  return root.querySelector(`path.map-arc[data-arc-id="${String(arcId).replace(/["\\]/g, '\\$&')}"]`);
+}
+
+function applyArcStyle(path, style) {
+  if (style.colour !== undefined || !path.hasAttribute('stroke')) {
+    path.setAttribute('stroke', style.colour || ARC_CONFIG.defaultColour);
+  }
+  if (style.width !== undefined || !path.hasAttribute('stroke-width')) {
+    path.setAttribute('stroke-width', style.width || ARC_CONFIG.defaultWidth);
+  }
+  if (style.opacity !== undefined || !path.hasAttribute('opacity')) {
+    path.setAttribute('opacity', style.opacity !== undefined ? style.opacity : ARC_CONFIG.defaultOpacity);
+  }
+
+  if (style.dash !== undefined || style.animated !== undefined) {
+    const dash = style.dash || (style.animated ? ARC_CONFIG.flowDash : null);
+    if (dash) {
+      path.setAttribute('stroke-dasharray', Array.isArray(dash) ? dash.join(' ') : dash);
+    } else {
+      path.removeAttribute('stroke-dasharray');
+    }
+
+    updateFlowAnimation(path, !!style.animated);
+  }
+}
+
+function updateFlowAnimation(path, animated) {
+  path.querySelectorAll('animate').forEach(anim => anim.remove());
+
+  const dasharray = path.getAttribute('stroke-dasharray');
+  if (!animated || !dasharray || prefersReducedMotion()) {
+    return;
+  }
+
+  // Shift the dash pattern by one full period per cycle, flowing from -> to
+  const period = dasharray
+    .split(/[\s,]+/)
+    .reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+  const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+  animate.setAttribute('attributeName', 'stroke-dashoffset');
+  animate.setAttribute('values', `${period};0`);
+  animate.setAttribute('dur', MARKER_CONFIG.animationDuration);
+  animate.setAttribute('repeatCount', 'indefinite');
+  path.appendChild(animate);
+}
+
+function greatCircleAngle(from, to) {
+  const a = toVector(from);
+  const b = toVector(to);
+  const dot = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+  return Math.acos(dot);
+}
+
+function toVector({lat, lng}) {
+  const phi = lat * Math.PI / 180;
+  const lambda = lng * Math.PI / 180;
+  return [
+    Math.cos(phi) * Math.cos(lambda),
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi)
+  ];
+}
+
+function toLatLng([x, y, z]) {
+  return {
+    lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+    lng: Math.atan2(y, x) * 180 / Math.PI
+  };
+}
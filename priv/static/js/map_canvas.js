@@ -0,0 +1,413 @@
+/**
+ * Canvas marker rendering for FlyMapEx real-time maps.
+ *
+ * SVG markers are separate elements with their own animations, which gets
+ * slow past a few thousand points. This renderer draws high-volume groups
+ * onto a single canvas laid over (or under) the map's SVG instead. It
+ * mirrors the createMarker/updateMarker/removeMarker API of map_markers.js
+ * so the hook can drive either, runs pulse and fade animations from one
+ * requestAnimationFrame loop, and replaces per-element pointer events with
+ * hitTest().
+ *
+ * Canvas markers support shape, colour, size, glow and animation. Icons,
+ * labels and badges are only drawn by the SVG renderer.
+ */
+
+import { MARKER_CONFIG, MARKER_SHAPES, getShapePath } from './map_markers.js';
+import { prefersReducedMotion } from './map_accessibility.js';
+import { SILENT_LOGGER } from './map_logger.js';
+
+/**
+ * Default canvas renderer configuration.
+ *
+ * The threshold is the number of markers in a group at which the hook
+ * switches that group to the canvas. Hit tolerance is in screen pixels.
+ */
+export const CANVAS_CONFIG = {
+  threshold: 1000,
+  layer: 'over',
+  hitTolerance: 2,
+  className: 'fly-map-canvas'
+};
+
+/**
+ * Create a canvas marker renderer for a map.
+ *
+ * Markers are plain records rather than elements. Like elements, a record's
+ * isConnected becomes false once it is removed, so it can be held onto
+ * (e.g. as the hovered marker) and checked later.
+ *
+ * @param {SVGSVGElement} svg - Map SVG the canvas is aligned with
+ * @param {Object} options - Renderer options
+ * @param {string} options.layer - 'over' (default) or 'under' the SVG
+ * @param {Object} options.logger - Logger for rendering problems (see
+ *   map_logger.js; silent by default)
+ * @returns {Object} Renderer {createMarker, updateMarker, removeMarker,
+ *   getMarker, getMarkers, getMarkerGeometry, hitTest, setScale,
+ *   setGroupVisible, invalidate, clear, destroy, size}
+ *
+ * @example
+ * const renderer = createCanvasRenderer(svg);
+ * renderer.createMarker({id: 'traffic-1', style: {colour: '#3b82f6', size: 3}, x: 420, y: 86.9});
+ * renderer.hitTest(421, 87) // => {id: 'traffic-1', ...}
+ */
+export function createCanvasRenderer(svg, options = {}) {
+  const layer = options.layer || CANVAS_CONFIG.layer;
+  const logger = options.logger || SILENT_LOGGER;
+  const container = svg.parentNode;
+  const markers = new Map();
+  const hiddenGroups = new Set();
+  const restoreStyles = [];
+  let scale = 1;
+  let frame = null;
+
+  const canvas = document.createElement('canvas');
+  canvas.className = CANVAS_CONFIG.className;
+  Object.assign(canvas.style, {
+    position: 'absolute',
+    pointerEvents: 'none'
+  });
+
+  const context = canvas.getContext ? canvas.getContext('2d') : null;
+  if (!context) {
+    logger.warn('Canvas marker rendering is not supported');
+  }
+
+  // The canvas is positioned over the SVG within the SVG's container
+  ensurePositioned(container, restoreStyles);
+  if (layer === 'under') {
+    ensurePositioned(svg, restoreStyles);
+    container.insertBefore(canvas, svg);
+  } else {
+    canvas.style.zIndex = '1';
+    container.insertBefore(canvas, svg.nextSibling);
+  }
+
+  const onResize = () => invalidate();
+  window.addEventListener('resize', onResize);
+
+  function createMarker(markerOptions) {
+    const {
+      id,
+      style = {},
+      x = 0,
+      y = 0,
+      label = null,
+      accessibleName = null,
+      dataAttrs = {}
+    } = markerOptions;
+
+    removeMarker(id);
+
+    const record = {
+      id,
+      groupId: dataAttrs['data-group-id'] || null,
+      markerId: dataAttrs['data-marker-id'] || id,
+      x,
+      y,
+      style: {...style},
+      label,
+      accessibleName,
+      animationStart: now(),
+      isConnected: true
+    };
+
+    markers.set(id, record);
+    invalidate();
+    return record;
+  }
+
+  function updateMarker(markerId, updates) {
+    const record = markers.get(markerId);
+    if (!record) {
+      return false;
+    }
+
+    if (updates.x !== undefined) record.x = updates.x;
+    if (updates.y !== undefined) record.y = updates.y;
+    if (updates.label !== undefined) record.label = updates.label;
+    if (updates.accessibleName) record.accessibleName = updates.accessibleName;
+
+    if (updates.style) {
+      record.style = {...record.style, ...updates.style};
+
+      // Restyling restarts the animation, as it does for SVG markers
+      if (updates.style.animation !== undefined) {
+        record.animationStart = now();
+      }
+    }
+
+    invalidate();
+    return true;
+  }
+
+  function removeMarker(markerId) {
+    const record = markers.get(markerId);
+    if (!record) {
+      return false;
+    }
+
+    record.isConnected = false;
+    markers.delete(markerId);
+    invalidate();
+    return true;
+  }
+
+  function getMarker(markerId) {
+    return markers.get(markerId) || null;
+  }
+
+  function getMarkers() {
+    return Array.from(markers.values());
+  }
+
+  function getMarkerGeometry(markerId) {
+    const record = markers.get(markerId);
+    if (!record) {
+      return null;
+    }
+
+    return {
+      x: record.x,
+      y: record.y,
+      size: record.style.size || MARKER_CONFIG.defaultRadius,
+      colour: record.style.colour || '#6b7280'
+    };
+  }
+
+  // Topmost visible marker at a point in SVG user units
+  function hitTest(x, y) {
+    const tolerance = CANVAS_CONFIG.hitTolerance * scale;
+    const records = getMarkers();
+
+    for (let i = records.length - 1; i >= 0; i--) {
+      const record = records[i];
+      if (hiddenGroups.has(record.groupId)) continue;
+
+      const area = getHitArea(record, scale);
+      const dx = x - area.x;
+      const dy = y - area.y;
+      if (dx * dx + dy * dy <= Math.pow(area.radius + tolerance, 2)) {
+        return record;
+      }
+    }
+
+    return null;
+  }
+
+  // Scale marker radii, e.g. by 1 / zoom to keep them constant on screen
+  function setScale(newScale) {
+    if (newScale === scale) return;
+    scale = newScale;
+    invalidate();
+  }
+
+  function setGroupVisible(groupId, visible) {
+    if (visible) {
+      hiddenGroups.delete(groupId);
+    } else {
+      hiddenGroups.add(groupId);
+    }
+    invalidate();
+  }
+
+  // Redraw on the next frame, e.g. after the viewport changes
+  function invalidate() {
+    if (frame || !context || typeof requestAnimationFrame !== 'function') return;
+    frame = requestAnimationFrame(draw);
+  }
+
+  function clear() {
+    markers.forEach(record => {
+      record.isConnected = false;
+    });
+    markers.clear();
+    invalidate();
+  }
+
+  function destroy() {
+    clear();
+    if (frame) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    window.removeEventListener('resize', onResize);
+    canvas.remove();
+    restoreStyles.forEach(restore => restore());
+  }
+
+  function draw(timestamp) {
+    frame = null;
+    if (!alignWithSvg()) return;
+
+    const reducedMotion = prefersReducedMotion();
+    let animating = false;
+
+    markers.forEach(record => {
+      if (hiddenGroups.has(record.groupId)) return;
+      if (drawMarker(context, record, scale, reducedMotion ? null : timestamp)) {
+        animating = true;
+      }
+    });
+
+    // The one loop keeps running only while something is animating
+    if (animating) {
+      frame = requestAnimationFrame(draw);
+    }
+  }
+
+  // Size the canvas to the SVG and map SVG user units to canvas pixels
+  function alignWithSvg() {
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return false;
+
+    const svgRect = svg.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(svgRect.width * ratio);
+    const height = Math.round(svgRect.height * ratio);
+
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    canvas.style.left = `${svgRect.left - containerRect.left - container.clientLeft}px`;
+    canvas.style.top = `${svgRect.top - containerRect.top - container.clientTop}px`;
+    canvas.style.width = `${svgRect.width}px`;
+    canvas.style.height = `${svgRect.height}px`;
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.setTransform(
+      ratio * ctm.a, ratio * ctm.b,
+      ratio * ctm.c, ratio * ctm.d,
+      ratio * (ctm.e - svgRect.left), ratio * (ctm.f - svgRect.top)
+    );
+
+    return true;
+  }
+
+  return {
+    createMarker,
+    updateMarker,
+    removeMarker,
+    getMarker,
+    getMarkers,
+    getMarkerGeometry,
+    hitTest,
+    setScale,
+    setGroupVisible,
+    invalidate,
+    clear,
+    destroy,
+    get size() {
+      return markers.size;
+    }
+  };
+}
+
+// Helper functions
+
+// Draws one marker; returns true if it is mid-animation
+function drawMarker(context, record, scale, timestamp) {
+  const style = record.style;
+  const shape = MARKER_SHAPES.includes(style.shape) ? style.shape : 'circle';
+  const colour = style.colour || '#6b7280';
+  let radius = style.size || MARKER_CONFIG.defaultRadius;
+  let alpha = MARKER_CONFIG.markerOpacity;
+  let animating = false;
+
+  if (timestamp !== null && (style.animation === 'pulse' || style.animation === 'fade')) {
+    const period = parseFloat(MARKER_CONFIG.animationDuration) * 1000;
+    const cycles = Math.max(0, timestamp - record.animationStart) / period;
+    // Triangle wave matching the SVG animations' min;max;min values
+    const wave = 1 - Math.abs(1 - 2 * (cycles % 1));
+
+    if (style.animation === 'fade') {
+      const [min, max] = MARKER_CONFIG.animationOpacityRange;
+      alpha = min + (max - min) * wave;
+      animating = true;
+    } else if (cycles < 2) {
+      // SVG pulses repeat twice and then stop
+      radius += MARKER_CONFIG.pulseSizeDelta * wave;
+      animating = true;
+    }
+  }
+
+  radius *= scale;
+
+  const path = shape === 'circle' || shape === 'ring'
+    ? circlePath(record.x, record.y, radius)
+    : new Path2D(getShapePath(shape, record.x, record.y, radius));
+  const paint = style.glow ? glowGradient(context, record, radius, colour) : colour;
+
+  context.globalAlpha = alpha;
+  if (shape === 'ring') {
+    context.strokeStyle = paint;
+    context.lineWidth = radius * 0.4;
+    context.stroke(path);
+  } else {
+    context.fillStyle = paint;
+    context.fill(path);
+  }
+
+  return animating;
+}
+
+function circlePath(x, y, radius) {
+  const path = new Path2D();
+  path.arc(x, y, radius, 0, Math.PI * 2);
+  return path;
+}
+
+// Same stops as the SVG glow gradient
+function glowGradient(context, record, radius, colour) {
+  const gradient = context.createRadialGradient(record.x, record.y, 0, record.x, record.y, radius);
+  gradient.addColorStop(0.6, withAlpha(colour, 1));
+  gradient.addColorStop(0.8, withAlpha(colour, 0.6));
+  gradient.addColorStop(1, withAlpha(colour, 0.2));
+  return gradient;
+}
+
+// Circle covering a marker's shape, for hit-testing
+function getHitArea(record, scale) {
+  const radius = (record.style.size || MARKER_CONFIG.defaultRadius) * scale;
+
+  switch (record.style.shape) {
+    case 'square':
+    case 'diamond':
+      return {x: record.x, y: record.y, radius: radius * 1.25};
+    case 'triangle':
+      return {x: record.x, y: record.y, radius: radius * 1.55};
+    case 'pin':
+      // The head sits above the pin's point
+      return {x: record.x, y: record.y - radius * 1.2, radius: radius * 1.3};
+    default:
+      return {x: record.x, y: record.y, radius};
+  }
+}
+
+function withAlpha(colour, alpha) {
+  const hex = typeof colour === 'string' && colour.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!hex) {
+    return colour;
+  }
+
+  const digits = hex[1].length === 3
+    ? hex[1].split('').map(digit => digit + digit)
+    : hex[1].match(/../g);
+  const [r, g, b] = digits.map(pair => parseInt(pair, 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function ensurePositioned(element, restoreStyles) {
+  if (window.getComputedStyle(element).position !== 'static') return;
+
+  const previous = element.style.position;
+  element.style.position = 'relative';
+  restoreStyles.push(() => {
+    element.style.position = previous;
+  });
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
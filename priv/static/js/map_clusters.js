@@ -0,0 +1,235 @@
+/**
+ * Marker clustering for FlyMapEx real-time maps.
+ *
+ * Merges markers of the same group that sit within a pixel radius of each
+ * other into a single count badge, and expands a badge into a spider/fan
+ * layout so the individual markers can be seen.
+ */
+
+import { MARKER_CONFIG, setMarkerPosition } from './map_markers.js';
+
+/**
+ * Default clustering configuration.
+ *
+ * Distances are in map pixels (SVG units at zoom level 1) and are divided
+ * by the current zoom so clusters keep a constant on-screen size.
+ */
+export const CLUSTER_CONFIG = {
+  radius: 20,
+  minClusterSize: 2,
+  badgeRadius: 10,
+  spiderRadius: 22,
+  spiderCircleMax: 10
+};
+
+/**
+ * Group markers into clusters.
+ *
+ * Markers are only merged with markers of the same group, so a cluster can
+ * always be styled from a single group style.
+ *
+ * @param {Array} markers - Marker positions [{id, group, x, y}, ...]
+ * @param {Object} options - Clustering options
+ * @param {number} options.radius - Merge radius in SVG units
+ * @param {number} options.minClusterSize - Smallest number of markers to merge
+ * @returns {Array} Clusters [{id, group, x, y, members: [markerId, ...]}];
+ *   markers left on their own are not included
+ *
+ * @example
+ * clusterMarkers([
+ *   {id: 'a', group: 'production', x: 100, y: 100},
+ *   {id: 'b', group: 'production', x: 102, y: 101}
+ * ], {radius: 20})
+ * // => [{id: 'cluster-production-a', group: 'production', x: 101, y: 100.5, members: ['a', 'b']}]
+ */
+export function clusterMarkers(markers, options = {}) {
+  const radius = options.radius || CLUSTER_CONFIG.radius;
+  const minClusterSize = options.minClusterSize || CLUSTER_CONFIG.minClusterSize;
+  const candidates = [];
+
+  markers.forEach(marker => {
+    // Greedily join the first nearby cluster of the same group
+    const cluster = candidates.find(candidate =>
+      candidate.group === marker.group &&
+      Math.hypot(candidate.seedX - marker.x, candidate.seedY - marker.y) <= radius
+    );
+
+    if (cluster) {
+      cluster.members.push(marker);
+    } else {
+      candidates.push({group: marker.group, seedX: marker.x, seedY: marker.y, members: [marker]});
+    }
+  });
+
+  return candidates
+    .filter(candidate => candidate.members.length >= minClusterSize)
+    .map(candidate => {
+      const count = candidate.members.length;
+      return {
+        id: `cluster-${candidate.group}-${candidate.members[0].id}`,
+        group: candidate.group,
+        x: candidate.members.reduce((sum, member) => sum + member.x, 0) / count,
+        y: candidate.members.reduce((sum, member) => sum + member.y, 0) / count,
+        members: candidate.members.map(member => member.id)
+      };
+    });
+}
+
+/**
+ * Create a count badge for a cluster.
+ *
+ * @param {Object} options - Badge options
+ * @param {string} options.id - Badge element ID
+ * @param {number} options.count - Number of clustered markers
+ * @param {number} options.x - X coordinate
+ * @param {number} options.y - Y coordinate
+ * @param {Object} options.style - Group style (uses colour)
+ * @param {string} options.label - Accessible name (defaults to the count)
+ * @param {Object} options.dataAttrs - Additional data attributes
+ * @returns {SVGElement} Badge group element
+ */
+export function createClusterBadge(options) {
+  const {
+    id,
+    count,
+    x,
+    y,
+    style = {},
+    label,
+    dataAttrs = {}
+  } = options;
+
+  const colour = style.colour || '#6b7280';
+  const digits = String(count).length;
+  const radius = CLUSTER_CONFIG.badgeRadius + Math.min(digits - 1, 3) * 3;
+
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.setAttribute('id', id);
+  group.setAttribute('class', 'marker-cluster');
+  group.setAttribute('role', 'button');
+  group.setAttribute('tabindex', '-1');
+  group.setAttribute('aria-label', label || `${count} clustered markers`);
+  group.setAttribute('aria-expanded', 'false');
+  group.style.cursor = 'pointer';
+
+  Object.entries(dataAttrs).forEach(([key, value]) => {
+    group.setAttribute(key, value);
+  });
+
+  const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  circle.setAttribute('cx', x);
+  circle.setAttribute('cy', y);
+  circle.setAttribute('r', radius);
+  circle.setAttribute('fill', colour);
+  circle.setAttribute('stroke', '#ffffff');
+  circle.setAttribute('stroke-width', 1.5);
+  circle.setAttribute('opacity', MARKER_CONFIG.markerOpacity);
+  // The map stylesheet disables pointer events on circles
+  circle.style.pointerEvents = 'all';
+
+  const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  text.setAttribute('x', x);
+  text.setAttribute('y', y);
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('dominant-baseline', 'central');
+  text.setAttribute('fill', '#ffffff');
+  text.setAttribute('font-size', 10);
+  text.setAttribute('font-weight', 'bold');
+  text.setAttribute('pointer-events', 'none');
+  text.textContent = count;
+
+  group.appendChild(circle);
+  group.appendChild(text);
+
+  return group;
+}
+
+/**
+ * Calculate spider/fan positions around a cluster centre.
+ *
+ * Small clusters are laid out on a circle; larger ones on a sunflower
+ * spiral so markers stay evenly spaced.
+ *
+ * @param {number} count - Number of positions
+ * @param {number} cx - Centre X coordinate
+ * @param {number} cy - Centre Y coordinate
+ * @param {number} radius - Base leg length in SVG units
+ * @returns {Array} Positions [{x, y}, ...]
+ */
+export function spiderPositions(count, cx, cy, radius = CLUSTER_CONFIG.spiderRadius) {
+  const positions = [];
+
+  if (count <= CLUSTER_CONFIG.spiderCircleMax) {
+    // Grow the circle so neighbouring markers don't overlap
+    const circleRadius = radius * Math.max(1, count / 6);
+    for (let i = 0; i < count; i++) {
+      const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+      positions.push({x: cx + circleRadius * Math.cos(angle), y: cy + circleRadius * Math.sin(angle)});
+    }
+    return positions;
+  }
+
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const spacing = radius * 0.6;
+  for (let i = 0; i < count; i++) {
+    const distance = spacing * Math.sqrt(i + 2);
+    const angle = i * goldenAngle;
+    positions.push({x: cx + distance * Math.cos(angle), y: cy + distance * Math.sin(angle)});
+  }
+
+  return positions;
+}
+
+/**
+ * Create a spider layer showing the markers of an expanded cluster.
+ *
+ * Member markers are cloned and moved to fan positions, with a leg drawn
+ * back to the cluster centre. The originals stay hidden in place.
+ *
+ * @param {Object} cluster - Cluster from clusterMarkers()
+ * @param {Array} markerElements - Member marker elements
+ * @param {Object} options - Spider options
+ * @param {number} options.radius - Base leg length in SVG units
+ * @param {string} options.colour - Leg colour
+ * @returns {Object} {element, clones} where element is the spider group
+ *   and clones are the cloned marker elements
+ */
+export function createSpider(cluster, markerElements, options = {}) {
+  const positions = spiderPositions(markerElements.length, cluster.x, cluster.y, options.radius);
+  const colour = options.colour || '#6b7280';
+
+  const spider = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  spider.setAttribute('id', `${cluster.id}-spider`);
+  spider.setAttribute('class', 'marker-cluster-spider');
+
+  const legs = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  legs.setAttribute('stroke', colour);
+  legs.setAttribute('stroke-width', 1);
+  legs.setAttribute('opacity', 0.6);
+  legs.setAttribute('vector-effect', 'non-scaling-stroke');
+  spider.appendChild(legs);
+
+  const clones = markerElements.map((marker, index) => {
+    const {x, y} = positions[index];
+
+    const leg = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    leg.setAttribute('x1', cluster.x);
+    leg.setAttribute('y1', cluster.y);
+    leg.setAttribute('x2', x);
+    leg.setAttribute('y2', y);
+    leg.setAttribute('vector-effect', 'non-scaling-stroke');
+    legs.appendChild(leg);
+
+    const clone = marker.cloneNode(true);
+    clone.setAttribute('id', `${marker.id}-spider`);
+    clone.setAttribute('data-spider-for', marker.id);
+    clone.style.display = '';
+    delete clone.dataset.markerScale;
+    setMarkerPosition(clone, x, y);
+
+    spider.appendChild(clone);
+    return clone;
+  });
+
+  return {element: spider, clones};
+}
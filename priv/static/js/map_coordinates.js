@@ -9,12 +9,16 @@
 /**
  * Convert WGS84 geographic coordinates to SVG pixel coordinates.
  *
- * This function performs the same linear transformation as the Elixir
- * backend (WorldMap.wgs84_to_svg/2) for client-side consistency.
+ * With the default equirectangular projection this performs the same
+ * linear transformation as the Elixir backend (WorldMap.wgs84_to_svg/2)
+ * for client-side consistency. Other projections (see PROJECTIONS) are
+ * scaled so their full world extent fills the bounding box.
  *
  * @param {number} lat - Latitude (-90 to 90)
  * @param {number} lng - Longitude (-180 to 180)
  * @param {Object} bbox - Bounding box {minX, minY, maxX, maxY}
+ * @param {string|Object} projection - Projection name or object (optional,
+ *   defaults to 'equirectangular')
  * @returns {Object} SVG coordinates {x, y}
  *
  * @example
@@ -26,24 +30,24 @@
  * // San Francisco
  * wgs84ToSvg(37.7749, -122.4194, {minX: 0, minY: 0, maxX: 800, maxY: 400})
  * // => {x: 166.9, y: 131.1}
+ *
+ * @example
+ * // San Francisco on a Robinson basemap
+ * wgs84ToSvg(37.7749, -122.4194, {minX: 0, minY: 0, maxX: 800, maxY: 400}, 'robinson')
  */
-export function wgs84ToSvg(lat, lng, bbox) {
+export function wgs84ToSvg(lat, lng, bbox, projection = DEFAULT_PROJECTION) {
   const {minX, minY, maxX, maxY} = bbox;
   const svgWidth = maxX - minX;
   const svgHeight = maxY - minY;
 
-  // Geographic bounds (WGS84)
-  const bounds = {
-    minLng: -180,
-    maxLng: 180,
-    minLat: -90,
-    maxLat: 90
-  };
+  const proj = getProjection(projection);
+  const bounds = proj.bounds;
+  const point = proj.forward(lat, lng);
 
   // Calculate percentage position along each axis
-  const xPercent = (lng - bounds.minLng) / (bounds.maxLng - bounds.minLng);
+  const xPercent = (point.x - bounds.minX) / (bounds.maxX - bounds.minX);
   // Note the inversion for y-axis since SVG's y increases downward
-  const yPercent = 1 - (lat - bounds.minLat) / (bounds.maxLat - bounds.minLat);
+  const yPercent = 1 - (point.y - bounds.minY) / (bounds.maxY - bounds.minY);
 
   // Convert to pixel positions
   const x = xPercent * svgWidth + minX;
@@ -52,6 +56,274 @@ export function wgs84ToSvg(lat, lng, bbox) {
   return {x, y};
 }
 
+/**
+ * Convert SVG pixel coordinates back to WGS84 geographic coordinates.
+ *
+ * Inverse of wgs84ToSvg for the same bounding box and projection.
+ *
+ * @param {number} x - SVG X coordinate
+ * @param {number} y - SVG Y coordinate
+ * @param {Object} bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} projection - Projection name or object (optional)
+ * @returns {Object|null} Coordinates {lat, lng} or null if the point lies
+ *   outside the projected world
+ *
+ * @example
+ * svgToWgs84(400, 195.5) // => {lat: 0, lng: 0}
+ * svgToWgs84(900, 100) // => null
+ */
+export function svgToWgs84(x, y, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION) {
+  const {minX, minY, maxX, maxY} = bbox;
+  const proj = getProjection(projection);
+  const bounds = proj.bounds;
+
+  const xPercent = (x - minX) / (maxX - minX);
+  // Undo the y-axis inversion applied in wgs84ToSvg
+  const yPercent = 1 - (y - minY) / (maxY - minY);
+
+  const point = proj.inverse(
+    bounds.minX + xPercent * (bounds.maxX - bounds.minX),
+    bounds.minY + yPercent * (bounds.maxY - bounds.minY)
+  );
+
+  if (!isValidLatLng(point.lat, point.lng)) {
+    return null;
+  }
+
+  return point;
+}
+
+/**
+ * Great-circle distance between two points, in kilometres.
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ *
+ * @example
+ * greatCircleDistance(51, 0, 49, 3) // London -> Paris, => ~308
+ */
+export function greatCircleDistance(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Find the known region closest to a geographic point.
+ *
+ * Searches built-in Fly.io regions and any custom regions in the registry.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} {region, lat, lng, distance} with distance in
+ *   kilometres, or null if no regions are known
+ *
+ * @example
+ * nearestRegion(48.8, 2.3) // => {region: "cdg", lat: 49, lng: 3, distance: 55.8}
+ */
+export function nearestRegion(lat, lng) {
+  let nearest = null;
+
+  listRegions().forEach(region => {
+    const coords = getRegionCoordinates(region);
+    const distance = greatCircleDistance(lat, lng, coords.lat, coords.lng);
+
+    if (!nearest || distance < nearest.distance) {
+      nearest = {region, lat: coords.lat, lng: coords.lng, distance};
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Name of the projection used when none is configured.
+ * Matches the linear mapping of WorldMap's default paths.
+ */
+export const DEFAULT_PROJECTION = 'equirectangular';
+
+// Mean Earth radius used for great-circle distances
+const EARTH_RADIUS_KM = 6371;
+
+// Mercator diverges at the poles; clip to the usual web map limit
+const MERCATOR_MAX_LAT = 85.05112878;
+
+// Robinson lookup table at 5° latitude intervals: [PLEN, PDFE]
+const ROBINSON_TABLE = [
+  [1.0000, 0.0000], [0.9986, 0.0620], [0.9954, 0.1240], [0.9900, 0.1860],
+  [0.9822, 0.2480], [0.9730, 0.3100], [0.9600, 0.3720], [0.9427, 0.4340],
+  [0.9216, 0.4958], [0.8962, 0.5571], [0.8679, 0.6176], [0.8350, 0.6769],
+  [0.7986, 0.7346], [0.7597, 0.7903], [0.7186, 0.8435], [0.6732, 0.8936],
+  [0.6213, 0.9394], [0.5722, 0.9761], [0.5322, 1.0000]
+];
+const ROBINSON_X_SCALE = 0.8487;
+const ROBINSON_Y_SCALE = 1.3523;
+
+// Equal Earth polynomial coefficients (Šavrič, Patterson & Jenny, 2018)
+const EQUAL_EARTH = {
+  A1: 1.340264,
+  A2: -0.081106,
+  A3: 0.000893,
+  A4: 0.003796,
+  M: Math.sqrt(3) / 2
+};
+
+/**
+ * Built-in map projections.
+ *
+ * Each projection has a `forward(lat, lng)` transform returning projected
+ * {x, y} (y increasing northward), an `inverse(x, y)` transform returning
+ * {lat, lng}, and the `bounds` {minX, minY, maxX, maxY} of the whole world
+ * in projected units. Additional projections can be added with
+ * registerProjection().
+ */
+export const PROJECTIONS = {
+  equirectangular: {
+    forward: (lat, lng) => ({x: lng, y: lat}),
+    inverse: (x, y) => ({lat: y, lng: x}),
+    bounds: {minX: -180, minY: -90, maxX: 180, maxY: 90}
+  },
+
+  mercator: {
+    forward: (lat, lng) => {
+      const clamped = clamp(lat, -MERCATOR_MAX_LAT, MERCATOR_MAX_LAT);
+      return {
+        x: toRadians(lng),
+        y: Math.log(Math.tan(Math.PI / 4 + toRadians(clamped) / 2))
+      };
+    },
+    inverse: (x, y) => ({
+      lat: toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2),
+      lng: toDegrees(x)
+    }),
+    bounds: {minX: -Math.PI, minY: -Math.PI, maxX: Math.PI, maxY: Math.PI}
+  },
+
+  robinson: {
+    forward: (lat, lng) => {
+      const [plen, pdfe] = robinsonCoefficients(Math.abs(lat));
+      return {
+        x: ROBINSON_X_SCALE * plen * toRadians(lng),
+        y: ROBINSON_Y_SCALE * pdfe * Math.sign(lat)
+      };
+    },
+    inverse: (x, y) => {
+      const lat = robinsonLatitude(Math.abs(y) / ROBINSON_Y_SCALE) * Math.sign(y);
+      const [plen] = robinsonCoefficients(Math.abs(lat));
+      return {lat, lng: toDegrees(x / (ROBINSON_X_SCALE * plen))};
+    },
+    bounds: {
+      minX: -ROBINSON_X_SCALE * Math.PI,
+      minY: -ROBINSON_Y_SCALE,
+      maxX: ROBINSON_X_SCALE * Math.PI,
+      maxY: ROBINSON_Y_SCALE
+    }
+  },
+
+  equal_earth: {
+    forward: (lat, lng) => {
+      const theta = Math.asin(EQUAL_EARTH.M * Math.sin(toRadians(lat)));
+      return {
+        x: toRadians(lng) * Math.cos(theta) / (EQUAL_EARTH.M * equalEarthDerivative(theta)),
+        y: equalEarthPolynomial(theta)
+      };
+    },
+    inverse: (x, y) => {
+      const theta = equalEarthTheta(y);
+      return {
+        lat: toDegrees(Math.asin(clamp(Math.sin(theta) / EQUAL_EARTH.M, -1, 1))),
+        lng: toDegrees(x * EQUAL_EARTH.M * equalEarthDerivative(theta) / Math.cos(theta))
+      };
+    },
+    bounds: null
+  }
+};
+
+// Equal Earth bounds depend on its polynomial, so derive them once
+PROJECTIONS.equal_earth.bounds = {
+  minX: PROJECTIONS.equal_earth.forward(0, -180).x,
+  minY: PROJECTIONS.equal_earth.forward(-90, 0).y,
+  maxX: PROJECTIONS.equal_earth.forward(0, 180).x,
+  maxY: PROJECTIONS.equal_earth.forward(90, 0).y
+};
+
+/**
+ * Register a custom projection alongside the built-in ones.
+ *
+ * @param {string} name - Projection name used in `config.projection`
+ * @param {Object} projection - Projection with forward, inverse and bounds
+ * @returns {boolean} True if the projection was registered
+ *
+ * @example
+ * registerProjection('plate_carree_pacific', {
+ *   forward: (lat, lng) => ({x: ((lng + 360) % 360) - 180, y: lat}),
+ *   inverse: (x, y) => ({lat: y, lng: ((x + 360) % 360) - 180}),
+ *   bounds: {minX: -180, minY: -90, maxX: 180, maxY: 90}
+ * })
+ */
+export function registerProjection(name, projection) {
+  if (typeof name !== 'string' || !isProjection(projection)) {
+    return false;
+  }
+
+  PROJECTIONS[normalizeProjectionName(name)] = projection;
+  return true;
+}
+
+/**
+ * Look up a projection by name.
+ *
+ * Names are case-insensitive and accept `-` in place of `_`
+ * (e.g. "equal-earth"). Projection objects are returned as-is, and
+ * unknown names fall back to the default equirectangular projection (see
+ * isKnownProjection()).
+ *
+ * @param {string|Object} projection - Projection name or object
+ * @returns {Object} Projection object
+ *
+ * @example
+ * getProjection('Equal-Earth') === PROJECTIONS.equal_earth // => true
+ */
+export function getProjection(projection) {
+  if (isProjection(projection)) {
+    return projection;
+  }
+
+  if (typeof projection === 'string') {
+    const found = PROJECTIONS[normalizeProjectionName(projection)];
+    if (found) {
+      return found;
+    }
+  }
+
+  return PROJECTIONS[DEFAULT_PROJECTION];
+}
+
+/**
+ * Check whether getProjection() knows a projection, rather than falling
+ * back to the default.
+ *
+ * @param {string|Object} projection - Projection name or object
+ * @returns {boolean} True for registered names and projection objects
+ *
+ * @example
+ * isKnownProjection('equal-earth') // => true
+ * isKnownProjection('winkel_tripel') // => false
+ */
+export function isKnownProjection(projection) {
+  if (isProjection(projection)) {
+    return true;
+  }
+
+  return typeof projection === 'string' && !!PROJECTIONS[normalizeProjectionName(projection)];
+}
+
 /**
  * Default map bounding box matching Elixir backend configuration.
  * Maps to WorldMap @bbox constant.
@@ -147,9 +419,187 @@ export const FLY_REGION_NAMES = {
   'waw': 'Warsaw'
 };
 
+/**
+ * Runtime region registry.
+ *
+ * Holds regions declared by the host application (mirroring
+ * `config :fly_map_ex, :custom_regions`) on top of the built-in
+ * FLY_REGIONS. Custom regions take precedence over built-in ones with the
+ * same code, matching FlyMapEx.FlyRegions on the server.
+ */
+const customRegions = new Map();
+const regionAliases = new Map();
+
+/**
+ * Register a custom region, replacing any existing region with the same code.
+ *
+ * Accepts coordinates either as a `coordinates` tuple (as emitted by the
+ * Elixir JSON encoding of custom regions) or as `lat`/`lng` properties.
+ *
+ * @param {string} code - Region code (e.g., "dev")
+ * @param {Object} region - Region definition
+ * @param {Array} [region.coordinates] - Coordinates as [lat, lng]
+ * @param {number} [region.lat] - Latitude, if coordinates not given
+ * @param {number} [region.lng] - Longitude, if coordinates not given
+ * @param {string} [region.name] - Human-readable name (defaults to the code)
+ * @param {Array} [region.aliases] - Alternative codes resolving to this region
+ * @returns {boolean} True if the region was registered
+ *
+ * @example
+ * registerRegion("dev", {name: "Development", coordinates: [47.6, -122.3]})
+ * getRegionCoordinates("dev") // => {lat: 47.6, lng: -122.3}
+ */
+export function registerRegion(code, region = {}) {
+  if (typeof code !== 'string' || code === '') {
+    return false;
+  }
+
+  const [lat, lng] = Array.isArray(region.coordinates)
+    ? region.coordinates
+    : [region.lat, region.lng];
+
+  if (!isValidLatLng(lat, lng)) {
+    return false;
+  }
+
+  // Drop aliases left over from a previous registration of this code
+  unregisterRegion(code);
+
+  customRegions.set(code, {
+    lat,
+    lng,
+    name: region.name || code
+  });
+
+  (region.aliases || []).forEach(alias => registerRegionAlias(alias, code));
+
+  return true;
+}
+
+/**
+ * Remove a custom region and any aliases pointing at it.
+ *
+ * Built-in Fly.io regions cannot be removed; unregistering a custom region
+ * that shadowed a built-in one restores the built-in definition.
+ *
+ * @param {string} code - Region code
+ * @returns {boolean} True if a custom region was removed
+ */
+export function unregisterRegion(code) {
+  regionAliases.forEach((target, alias) => {
+    if (target === code) {
+      regionAliases.delete(alias);
+    }
+  });
+
+  return customRegions.delete(code);
+}
+
+/**
+ * Register an alternative code for an existing region.
+ *
+ * @param {string} alias - Alias code (e.g., "sfo")
+ * @param {string} code - Region code the alias resolves to (e.g., "sjc")
+ * @returns {boolean} True if the alias was registered
+ *
+ * @example
+ * registerRegionAlias("sfo", "sjc")
+ * getRegionName("sfo") // => "San Jose"
+ */
+export function registerRegionAlias(alias, code) {
+  if (typeof alias !== 'string' || alias === '' || alias === code) {
+    return false;
+  }
+
+  regionAliases.set(alias, code);
+  return true;
+}
+
+/**
+ * Load a set of custom regions, e.g. from the hook's initial state.
+ *
+ * @param {Object} regions - Map of region code to region definition
+ *   (see registerRegion)
+ * @param {Object} options - Load options
+ * @param {boolean} options.replace - Clear existing custom regions first
+ * @returns {number} Number of regions registered
+ *
+ * @example
+ * loadRegions({
+ *   dev: {name: "Development", coordinates: [47.6, -122.3]},
+ *   laptop: {name: "Laptop", coordinates: [49.3, -123.1], aliases: ["local"]}
+ * })
+ * // => 2
+ */
+export function loadRegions(regions, options = {}) {
+  if (options.replace) {
+    resetRegions();
+  }
+
+  if (!regions || typeof regions !== 'object') {
+    return 0;
+  }
+
+  return Object.entries(regions)
+    .filter(([code, region]) => registerRegion(code, region))
+    .length;
+}
+
+/**
+ * Remove all custom regions and aliases, leaving only built-in regions.
+ */
+export function resetRegions() {
+  customRegions.clear();
+  regionAliases.clear();
+}
+
+/**
+ * List all known region codes, built-in and custom.
+ *
+ * @returns {Array} Region codes (aliases are not included)
+ *
+ * @example
+ * listRegions() // => ["ams", "iad", ..., "dev"]
+ */
+export function listRegions() {
+  const codes = new Set(Object.keys(FLY_REGIONS));
+  customRegions.forEach((_, code) => codes.add(code));
+  return Array.from(codes);
+}
+
+/**
+ * Resolve a region code or alias to its canonical region code.
+ *
+ * @param {string} region - Region code or alias
+ * @returns {string|null} Canonical region code or null if not found
+ *
+ * @example
+ * resolveRegionCode("sjc") // => "sjc"
+ * resolveRegionCode("invalid") // => null
+ */
+export function resolveRegionCode(region) {
+  if (typeof region !== 'string') {
+    return null;
+  }
+
+  if (customRegions.has(region) || hasOwn(FLY_REGIONS, region)) {
+    return region;
+  }
+
+  const target = regionAliases.get(region);
+  if (target && (customRegions.has(target) || hasOwn(FLY_REGIONS, target))) {
+    return target;
+  }
+
+  return null;
+}
+
 /**
  * Get coordinates for a region code.
  *
+ * Custom regions and aliases from the region registry are resolved before
+ * built-in Fly.io regions.
+ *
  * @param {string} region - Region code (e.g., "sjc", "fra")
  * @returns {Object|null} Coordinates {lat, lng} or null if not found
  *
@@ -158,12 +608,17 @@ export const FLY_REGION_NAMES = {
  * getRegionCoordinates("invalid") // => null
  */
 export function getRegionCoordinates(region) {
-  const coords = FLY_REGIONS[region];
-  if (!coords) {
+  const code = resolveRegionCode(region);
+  if (!code) {
     return null;
   }
 
-  const [lat, lng] = coords;
+  const custom = customRegions.get(code);
+  if (custom) {
+    return {lat: custom.lat, lng: custom.lng};
+  }
+
+  const [lat, lng] = FLY_REGIONS[code];
   return {lat, lng};
 }
 
@@ -178,7 +633,17 @@ export function getRegionCoordinates(region) {
  * getRegionName("invalid") // => null
  */
 export function getRegionName(region) {
-  return FLY_REGION_NAMES[region] || null;
+  const code = resolveRegionCode(region);
+  if (!code) {
+    return null;
+  }
+
+  const custom = customRegions.get(code);
+  if (custom) {
+    return custom.name;
+  }
+
+  return FLY_REGION_NAMES[code] || code;
 }
 
 /**
@@ -192,7 +657,7 @@ export function getRegionName(region) {
  * isValidRegion("invalid") // => false
  */
 export function isValidRegion(region) {
-  return Object.prototype.hasOwnProperty.call(FLY_REGIONS, region);
+  return resolveRegionCode(region) !== null;
 }
 
 /**
@@ -202,70 +667,184 @@ export function isValidRegion(region) {
  *
  * @param {string} region - Region code (e.g., "sjc", "fra")
  * @param {Object} bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} projection - Projection name or object (optional)
  * @returns {Object|null} SVG coordinates {x, y} or null if region not found
  *
  * @example
  * regionToSvg("sjc") // => {x: 166.9, y: 131.1}
  * regionToSvg("invalid") // => null
  */
-export function regionToSvg(region, bbox = MAP_BBOX) {
+export function regionToSvg(region, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION) {
   const coords = getRegionCoordinates(region);
   if (!coords) {
     return null;
   }
 
-  return wgs84ToSvg(coords.lat, coords.lng, bbox);
+  return wgs84ToSvg(coords.lat, coords.lng, bbox, projection);
 }
 
 /**
- * Convert marker coordinates to SVG coordinates.
+ * Resolve marker data to geographic coordinates.
  *
- * Handles multiple coordinate formats:
+ * Accepts every node format FlyMapEx.Nodes.normalize_node/1 accepts, in
+ * its JSON-encoded form:
  * - Region codes: "sjc", "fra"
- * - Coordinate objects: {lat: 37, lng: -122}
- * - Coordinate maps: {lat: 37, lng: -122}
- * - Array tuples: [37, -122]
+ * - Coordinate tuples: [37, -122]
+ * - Labelled regions: {label: "Production", region: "sjc"}
+ * - Labelled coordinates: {label: "Custom", coordinates: [37, -122]}
+ *
+ * as well as coordinate objects {lat, lng} or {latitude, longitude}.
  *
  * @param {string|Object|Array} marker - Marker coordinate data
- * @param {Object} bbox - Bounding box (optional, uses MAP_BBOX if not provided)
- * @returns {Object|null} SVG coordinates {x, y} or null if invalid
+ * @returns {Object|null} Coordinates {lat, lng} or null if invalid
  *
  * @example
- * markerToSvg("sjc") // => {x: 166.9, y: 131.1}
- * markerToSvg({lat: 37, lng: -122}) // => {x: 166.9, y: 131.1}
- * markerToSvg([37, -122]) // => {x: 166.9, y: 131.1}
+ * markerToLatLng({label: "Production", region: "sjc"}) // => {lat: 37, lng: -122}
+ * markerToLatLng({label: "Custom", coordinates: [40, -74]}) // => {lat: 40, lng: -74}
+ * markerToLatLng({lat: 0, lng: 0}) // => {lat: 0, lng: 0}
  */
-export function markerToSvg(marker, bbox = MAP_BBOX) {
+export function markerToLatLng(marker) {
   let lat, lng;
 
   if (typeof marker === 'string') {
     // Region code
-    const coords = getRegionCoordinates(marker);
-    if (!coords) {
-      return null;
-    }
-    lat = coords.lat;
-    lng = coords.lng;
+    return getRegionCoordinates(marker);
   } else if (Array.isArray(marker) && marker.length === 2) {
     // Array tuple [lat, lng]
     [lat, lng] = marker;
   } else if (typeof marker === 'object' && marker !== null) {
-    // Object with lat/lng properties
-    lat = marker.lat || marker.latitude;
-    lng = marker.lng || marker.longitude;
+    if (marker.coordinates !== undefined) {
+      // Node with coordinates, as encoded from %{coordinates: {lat, lng}}
+      return markerToLatLng(marker.coordinates);
+    }
 
-    if (lat === undefined || lng === undefined) {
-      return null;
+    if (marker.region !== undefined) {
+      // Node with a region code, as in %{label: "Name", region: "sjc"}
+      return typeof marker.region === 'string' ? getRegionCoordinates(marker.region) : null;
     }
+
+    // Object with lat/lng properties; 0 is a valid coordinate
+    lat = marker.lat !== undefined ? marker.lat : marker.latitude;
+    lng = marker.lng !== undefined ? marker.lng : marker.longitude;
   } else {
     return null;
   }
 
   // Validate coordinate ranges
-  if (typeof lat !== 'number' || typeof lng !== 'number' ||
-      lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+  if (!isValidLatLng(lat, lng)) {
+    return null;
+  }
+
+  return {lat, lng};
+}
+
+/**
+ * Convert marker coordinates to SVG coordinates.
+ *
+ * Handles every format markerToLatLng() accepts:
+ * - Region codes: "sjc", "fra"
+ * - Coordinate objects: {lat: 37, lng: -122}
+ * - Array tuples: [37, -122]
+ * - Nodes: {label: "Production", region: "sjc"},
+ *   {label: "Custom", coordinates: [37, -122]}
+ *
+ * @param {string|Object|Array} marker - Marker coordinate data
+ * @param {Object} bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} projection - Projection name or object (optional)
+ * @returns {Object|null} SVG coordinates {x, y} or null if invalid
+ *
+ * @example
+ * markerToSvg("sjc") // => {x: 166.9, y: 131.1}
+ * markerToSvg({lat: 37, lng: -122}) // => {x: 166.9, y: 131.1}
+ * markerToSvg([37, -122]) // => {x: 166.9, y: 131.1}
+ */
+export function markerToSvg(marker, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION) {
+  const coords = markerToLatLng(marker);
+  if (!coords) {
     return null;
   }
 
-  return wgs84ToSvg(lat, lng, bbox);
-}
\ No newline at end of file
+  return wgs84ToSvg(coords.lat, coords.lng, bbox, projection);
+}
+
+// Helper functions
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function normalizeProjectionName(name) {
+  return name.toLowerCase().replace(/-/g, '_');
+}
+
+function isProjection(projection) {
+  return !!projection && typeof projection === 'object' &&
+         typeof projection.forward === 'function' &&
+         typeof projection.inverse === 'function' &&
+         !!projection.bounds;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function robinsonCoefficients(absLat) {
+  const position = clamp(absLat, 0, 90) / 5;
+  const index = Math.min(Math.floor(position), ROBINSON_TABLE.length - 2);
+  const t = position - index;
+  const [x0, y0] = ROBINSON_TABLE[index];
+  const [x1, y1] = ROBINSON_TABLE[index + 1];
+  return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+}
+
+function robinsonLatitude(pdfe) {
+  const target = clamp(pdfe, 0, 1);
+  for (let i = 0; i < ROBINSON_TABLE.length - 1; i++) {
+    const y0 = ROBINSON_TABLE[i][1];
+    const y1 = ROBINSON_TABLE[i + 1][1];
+    if (target <= y1) {
+      return (i + (target - y0) / (y1 - y0)) * 5;
+    }
+  }
+  return 90;
+}
+
+function equalEarthPolynomial(theta) {
+  const {A1, A2, A3, A4} = EQUAL_EARTH;
+  const t2 = theta * theta;
+  const t6 = t2 * t2 * t2;
+  return theta * (A1 + A2 * t2 + t6 * (A3 + A4 * t2));
+}
+
+function equalEarthDerivative(theta) {
+  const {A1, A2, A3, A4} = EQUAL_EARTH;
+  const t2 = theta * theta;
+  const t6 = t2 * t2 * t2;
+  return A1 + 3 * A2 * t2 + t6 * (7 * A3 + 9 * A4 * t2);
+}
+
+function equalEarthTheta(y) {
+  // Newton-Raphson on the latitude polynomial
+  let theta = y;
+  for (let i = 0; i < 12; i++) {
+    const delta = (equalEarthPolynomial(theta) - y) / equalEarthDerivative(theta);
+    theta -= delta;
+    if (Math.abs(delta) < 1e-9) {
+      break;
+    }
+  }
+  return theta;
+}
+
+function isValidLatLng(lat, lng) {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+         lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
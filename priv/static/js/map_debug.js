@@ -0,0 +1,143 @@
+/**
+ * Debug overlay for FlyMapEx real-time maps.
+ *
+ * A panel over the map showing the channel event rate, the number of
+ * rendered markers, connection status and the last event received, for
+ * troubleshooting real-time updates. Enabled with the hook's `debug`
+ * option or `data-debug="true"` on the map element.
+ */
+
+/**
+ * Default debug overlay configuration.
+ */
+export const DEBUG_CONFIG = {
+  className: 'fly-map-debug-overlay',
+  refreshInterval: 1000,
+  rateWindow: 10000,
+  maxPayloadLength: 300
+};
+
+/**
+ * Create a debug overlay over a map.
+ *
+ * @param {HTMLElement} container - Element the overlay is placed in, usually
+ *   the map SVG's parent
+ * @param {Object} options - Overlay options
+ * @param {string} options.id - Overlay element ID
+ * @param {Function} options.getStats - Returns extra rows to show, e.g.
+ *   {markers: 12, status: 'live'}; called on each refresh
+ * @returns {Object} Overlay controller {record, refresh, destroy}
+ *
+ * @example
+ * const overlay = createDebugOverlay(svg.parentNode, {
+ *   getStats: () => ({markers: countMarkers(svg)})
+ * });
+ * overlay.record('marker_update', payload);
+ */
+export function createDebugOverlay(container, options = {}) {
+  const getStats = options.getStats || (() => ({}));
+  const eventTimes = [];
+  let eventCount = 0;
+  let lastEvent = null;
+  let restorePosition = null;
+
+  // The overlay is positioned within the container
+  if (window.getComputedStyle(container).position === 'static') {
+    const previous = container.style.position;
+    container.style.position = 'relative';
+    restorePosition = () => {
+      container.style.position = previous;
+    };
+  }
+
+  const element = document.createElement('div');
+  if (options.id) {
+    element.id = options.id;
+  }
+  element.className = DEBUG_CONFIG.className;
+  element.setAttribute('aria-hidden', 'true');
+  Object.assign(element.style, {
+    position: 'absolute',
+    bottom: '8px',
+    left: '8px',
+    zIndex: '3',
+    maxWidth: '320px',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    background: 'rgba(17, 24, 39, 0.85)',
+    color: '#f9fafb',
+    font: '11px/1.4 monospace',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-all',
+    pointerEvents: 'none'
+  });
+  container.appendChild(element);
+
+  function record(event, payload) {
+    const now = Date.now();
+    eventCount++;
+    eventTimes.push(now);
+    pruneEventTimes(eventTimes, now - DEBUG_CONFIG.rateWindow);
+    lastEvent = {event, payload, at: now};
+  }
+
+  function refresh() {
+    const now = Date.now();
+    pruneEventTimes(eventTimes, now - DEBUG_CONFIG.rateWindow);
+    const rate = eventTimes.length / (DEBUG_CONFIG.rateWindow / 1000);
+
+    const lines = [`events: ${eventCount} (${rate.toFixed(1)}/s)`];
+    Object.entries(getStats()).forEach(([key, value]) => {
+      lines.push(`${key}: ${value === null || value === undefined ? '-' : value}`);
+    });
+
+    if (lastEvent) {
+      const age = ((now - lastEvent.at) / 1000).toFixed(1);
+      lines.push(`last: ${lastEvent.event} (${age}s ago)`);
+      lines.push(truncatePayload(lastEvent.payload));
+    } else {
+      lines.push('last: -');
+    }
+
+    element.textContent = lines.join('\n');
+  }
+
+  const refreshTimer = setInterval(refresh, DEBUG_CONFIG.refreshInterval);
+  refresh();
+
+  function destroy() {
+    clearInterval(refreshTimer);
+    element.remove();
+    if (restorePosition) {
+      restorePosition();
+    }
+  }
+
+  return {
+    record,
+    refresh,
+    destroy
+  };
+}
+
+// Helper functions
+
+function pruneEventTimes(eventTimes, since) {
+  while (eventTimes.length > 0 && eventTimes[0] < since) {
+    eventTimes.shift();
+  }
+}
+
+function truncatePayload(payload) {
+  let json;
+  try {
+    json = JSON.stringify(payload);
+  } catch (error) {
+    json = String(payload);
+  }
+
+  if (json === undefined) return '';
+  return json.length > DEBUG_CONFIG.maxPayloadLength
+    ? `${json.slice(0, DEBUG_CONFIG.maxPayloadLength)}…`
+    : json;
+}
@@ -0,0 +1,273 @@
+/**
+ * Density heatmap rendering for FlyMapEx real-time maps.
+ *
+ * Turns large sets of points into a smooth intensity surface for groups
+ * where individual markers would be meaningless (e.g. customer traffic).
+ * Points are projected with the same coordinate utilities as markers,
+ * accumulated into a grid with a smooth kernel, coloured through a ramp on
+ * an offscreen canvas and placed in the SVG as an image, so the surface pans
+ * and zooms with the map.
+ */
+
+import { markerToLatLng, wgs84ToSvg, MAP_BBOX, DEFAULT_PROJECTION } from './map_coordinates.js';
+import { SILENT_LOGGER } from './map_logger.js';
+
+/**
+ * Default heatmap configuration.
+ *
+ * Radius and cell size are in map pixels (SVG units at zoom level 1).
+ */
+export const HEATMAP_CONFIG = {
+  radius: 15,
+  cellSize: 2,
+  opacity: 0.8,
+  weightField: 'weight',
+  ramp: ['#3b82f6', '#06b6d4', '#22c55e', '#eab308', '#ef4444']
+};
+
+/**
+ * Check whether a marker group is drawn as a heatmap.
+ *
+ * @param {Object} group - Marker group
+ * @returns {boolean} True if the group's style.render is "heatmap"
+ */
+export function isHeatmapGroup(group) {
+  return !!(group && group.style && group.style.render === 'heatmap');
+}
+
+/**
+ * Project a group's nodes to weighted SVG points.
+ *
+ * @param {Array} nodes - Nodes in any format markerToLatLng() accepts
+ * @param {Object} options - Projection options
+ * @param {string} options.weightField - Node field holding the point's weight
+ * @param {Object} options.bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} options.projection - Projection name or object (optional)
+ * @returns {Array} Points [{x, y, weight}, ...]; nodes without valid
+ *   coordinates are skipped and nodes without a weight count as 1
+ *
+ * @example
+ * heatmapPoints([{lat: 50, lng: 9, requests: 120}, "fra"], {weightField: 'requests'})
+ * // => [{x: 420, y: 86.9, weight: 120}, {x: 420, y: 86.9, weight: 1}]
+ */
+export function heatmapPoints(nodes, options = {}) {
+  const weightField = options.weightField || HEATMAP_CONFIG.weightField;
+  const bbox = options.bbox || MAP_BBOX;
+  const projection = options.projection || DEFAULT_PROJECTION;
+  const points = [];
+
+  nodes.forEach(node => {
+    const coords = markerToLatLng(node);
+    if (!coords) return;
+
+    const weight = node && typeof node === 'object' && typeof node[weightField] === 'number'
+      ? node[weightField]
+      : 1;
+    if (weight <= 0) return;
+
+    const {x, y} = wgs84ToSvg(coords.lat, coords.lng, bbox, projection);
+    points.push({x, y, weight});
+  });
+
+  return points;
+}
+
+/**
+ * Accumulate weighted points into a density grid.
+ *
+ * Each point is spread over its radius with a smooth (quartic) kernel, so
+ * the surface has no hard edges.
+ *
+ * @param {Array} points - Points [{x, y, weight}, ...]
+ * @param {Object} bbox - Area covered by the grid
+ * @param {Object} options - Grid options
+ * @param {number} options.radius - Kernel radius in SVG units
+ * @param {number} options.cellSize - Grid cell size in SVG units
+ * @returns {Object} Grid {cols, rows, cellSize, values, max} where values
+ *   is a Float32Array in row-major order
+ */
+export function densityGrid(points, bbox = MAP_BBOX, options = {}) {
+  const radius = options.radius || HEATMAP_CONFIG.radius;
+  const cellSize = options.cellSize || HEATMAP_CONFIG.cellSize;
+  const cols = Math.max(1, Math.ceil((bbox.maxX - bbox.minX) / cellSize));
+  const rows = Math.max(1, Math.ceil((bbox.maxY - bbox.minY) / cellSize));
+  const values = new Float32Array(cols * rows);
+  const reach = Math.ceil(radius / cellSize);
+  let max = 0;
+
+  points.forEach(({x, y, weight}) => {
+    const col = Math.floor((x - bbox.minX) / cellSize);
+    const row = Math.floor((y - bbox.minY) / cellSize);
+
+    for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+      for (let c = Math.max(0, col - reach); c <= Math.min(cols - 1, col + reach); c++) {
+        // Distance from the point to the cell centre
+        const dx = bbox.minX + (c + 0.5) * cellSize - x;
+        const dy = bbox.minY + (r + 0.5) * cellSize - y;
+        const u = (dx * dx + dy * dy) / (radius * radius);
+        if (u >= 1) continue;
+
+        const index = r * cols + c;
+        values[index] += weight * (1 - u) * (1 - u);
+        if (values[index] > max) max = values[index];
+      }
+    }
+  });
+
+  return {cols, rows, cellSize, values, max};
+}
+
+/**
+ * Look up a colour on a colour ramp.
+ *
+ * @param {Array} ramp - Hex colours from low to high intensity
+ * @param {number} t - Intensity (0 to 1)
+ * @returns {Array} Colour [r, g, b]
+ *
+ * @example
+ * rampColour(['#000000', '#ffffff'], 0.5) // => [128, 128, 128]
+ */
+export function rampColour(ramp, t) {
+  const colours = ramp.map(parseHexColour).filter(Boolean);
+  if (colours.length === 0) {
+    return [0, 0, 0];
+  }
+  if (colours.length === 1) {
+    return colours[0];
+  }
+
+  const position = Math.min(1, Math.max(0, t)) * (colours.length - 1);
+  const index = Math.min(colours.length - 2, Math.floor(position));
+  const local = position - index;
+  const [from, to] = [colours[index], colours[index + 1]];
+
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * local));
+}
+
+/**
+ * Create a heatmap layer for a marker group.
+ *
+ * @param {Object} options - Layer options
+ * @param {string} options.id - Layer element ID
+ * @param {Array} options.points - Points [{x, y, weight}, ...]
+ * @param {Object} options.style - Heatmap style {radius, ramp, opacity, max}
+ * @param {Object} options.bbox - Bounding box (optional)
+ * @param {Object} options.dataAttrs - Additional data attributes
+ * @param {Object} options.logger - Logger for drawing problems (see
+ *   map_logger.js; silent by default)
+ * @returns {SVGElement} Layer group element
+ *
+ * @example
+ * const layer = createHeatmapLayer({
+ *   id: 'heatmap-traffic',
+ *   points: heatmapPoints(group.nodes, {weightField: 'requests'}),
+ *   style: {radius: 20, ramp: ['#fde68a', '#f97316', '#b91c1c']}
+ * });
+ */
+export function createHeatmapLayer(options) {
+  const {
+    id,
+    dataAttrs = {}
+  } = options;
+
+  const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  layer.setAttribute('id', id);
+  layer.setAttribute('class', 'heatmap-layer');
+  layer.setAttribute('pointer-events', 'none');
+
+  Object.entries(dataAttrs).forEach(([key, value]) => {
+    layer.setAttribute(key, value);
+  });
+
+  updateHeatmapLayer(layer, options.points, options.style, options.bbox, options.logger);
+
+  return layer;
+}
+
+/**
+ * Redraw a heatmap layer with new points or style.
+ *
+ * @param {SVGElement} layer - Layer from createHeatmapLayer()
+ * @param {Array} points - Points [{x, y, weight}, ...]
+ * @param {Object} style - Heatmap style {radius, ramp, opacity, max}
+ * @param {Object} bbox - Bounding box (optional)
+ * @param {Object} logger - Logger for drawing problems (optional)
+ * @returns {boolean} True if the surface could be drawn
+ */
+export function updateHeatmapLayer(layer, points, style = {}, bbox = MAP_BBOX, logger = SILENT_LOGGER) {
+  layer.replaceChildren();
+
+  const grid = densityGrid(points, bbox, {radius: style.radius});
+
+  // A fixed maximum keeps intensities comparable between updates
+  const max = style.max || grid.max;
+  if (max <= 0) {
+    return true;
+  }
+
+  const href = renderGridImage(grid, style.ramp || HEATMAP_CONFIG.ramp, max);
+  if (!href) {
+    logger.warn('Heatmap rendering needs canvas support');
+    return false;
+  }
+
+  const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+  image.setAttribute('href', href);
+  image.setAttribute('x', bbox.minX);
+  image.setAttribute('y', bbox.minY);
+  image.setAttribute('width', grid.cols * grid.cellSize);
+  image.setAttribute('height', grid.rows * grid.cellSize);
+  image.setAttribute('preserveAspectRatio', 'none');
+  image.setAttribute('opacity', style.opacity !== undefined ? style.opacity : HEATMAP_CONFIG.opacity);
+  layer.appendChild(image);
+
+  return true;
+}
+
+// Helper functions
+
+function renderGridImage(grid, ramp, max) {
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.cols;
+  canvas.height = grid.rows;
+
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) {
+    return null;
+  }
+
+  // Precompute the ramp so each cell is a table lookup
+  const palette = [];
+  for (let i = 0; i < 256; i++) {
+    palette.push(rampColour(ramp, i / 255));
+  }
+
+  const image = context.createImageData(grid.cols, grid.rows);
+  grid.values.forEach((value, index) => {
+    const t = Math.min(1, value / max);
+    if (t < 0.01) return;
+
+    const [r, g, b] = palette[Math.round(t * 255)];
+    const offset = index * 4;
+    image.data[offset] = r;
+    image.data[offset + 1] = g;
+    image.data[offset + 2] = b;
+    // Fade in from transparent so sparse areas don't show hard edges
+    image.data[offset + 3] = Math.round(Math.min(1, t * 2) * 255);
+  });
+
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
+
+function parseHexColour(colour) {
+  const hex = typeof colour === 'string' && colour.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!hex) {
+    return null;
+  }
+
+  const digits = hex[1].length === 3
+    ? hex[1].split('').map(digit => digit + digit)
+    : hex[1].match(/../g);
+  return digits.map(pair => parseInt(pair, 16));
+}
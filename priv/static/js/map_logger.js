@@ -0,0 +1,88 @@
+/**
+ * Logging for FlyMapEx real-time maps.
+ *
+ * The hook logs through a leveled logger rather than the console directly,
+ * so apps can choose how much is logged and where it goes. By default only
+ * warnings and errors reach the console; channel payloads are only logged
+ * at the debug level.
+ */
+
+/**
+ * Log levels from most to least verbose.
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Default logger configuration.
+ */
+export const LOGGER_CONFIG = {
+  level: 'warn',
+  prefix: 'RealTimeMapHook: '
+};
+
+/**
+ * Logger that drops everything.
+ *
+ * The default for library functions that take a `logger`, so they stay
+ * quiet unless the caller (usually the hook) passes its own.
+ */
+export const SILENT_LOGGER = createLogger(false);
+
+/**
+ * Create a leveled logger.
+ *
+ * The sink receives `(level, message, ...args)` for each entry at or above
+ * the logger's level. It can also be an object with debug/info/warn/error
+ * methods, such as `console` (the default), which are called with the
+ * prefixed message and args.
+ *
+ * @param {Object|Function|boolean} options - Logger options, a sink
+ *   function, or false to log nothing
+ * @param {string} options.level - Least severe level logged (default 'warn')
+ * @param {Function|Object} options.sink - Where entries go (default console)
+ * @param {string} options.prefix - Prepended to messages for object sinks
+ * @returns {Object} Logger {debug, info, warn, error, isEnabled, level}
+ *
+ * @example
+ * const logger = createLogger({level: 'debug'});
+ * logger.debug('Received marker update', payload);
+ *
+ * @example
+ * // Send warnings and errors to an error tracker
+ * createLogger({sink: (level, message, ...args) => tracker.capture(level, message, args)});
+ */
+export function createLogger(options = {}) {
+  if (options === false) {
+    options = {level: 'silent'};
+  } else if (typeof options === 'function') {
+    options = {sink: options};
+  }
+
+  const level = LOG_LEVELS.includes(options.level) ? options.level : LOGGER_CONFIG.level;
+  const threshold = LOG_LEVELS.indexOf(level);
+  const sink = options.sink || console;
+  const prefix = options.prefix !== undefined ? options.prefix : LOGGER_CONFIG.prefix;
+
+  function isEnabled(entryLevel) {
+    return LOG_LEVELS.indexOf(entryLevel) >= threshold;
+  }
+
+  function log(entryLevel, message, args) {
+    if (!isEnabled(entryLevel)) return;
+
+    if (typeof sink === 'function') {
+      sink(entryLevel, message, ...args);
+    } else if (typeof sink[entryLevel] === 'function') {
+      sink[entryLevel](`${prefix}${message}`, ...args);
+    }
+  }
+
+  return {
+    debug: (message, ...args) => log('debug', message, args),
+    info: (message, ...args) => log('info', message, args),
+    warn: (message, ...args) => log('warn', message, args),
+    error: (message, ...args) => log('error', message, args),
+    isEnabled,
+    level
+  };
+}
@@ -6,7 +6,9 @@
  * efficient client-side map updates.
  */
 
-import { markerToSvg, MAP_BBOX } from './map_coordinates.js';
+import { markerToSvg, markerToLatLng, getRegionName, MAP_BBOX, DEFAULT_PROJECTION } from './map_coordinates.js';
+import { prefersReducedMotion } from './map_accessibility.js';
+import { SILENT_LOGGER } from './map_logger.js';
 
 /**
  * Default marker configuration matching Elixir backend.
@@ -18,18 +20,105 @@ export const MARKER_CONFIG = {
   animationDuration: '2s',
   pulseSizeDelta: 2,
   animationOpacityRange: [0.5, 1.0],
-  legendContainerMultiplier: 2.0
+  legendContainerMultiplier: 2.0,
+  iconScale: 1.2,
+  defaultIconColour: '#ffffff',
+  labelFontSize: 10,
+  labelOffset: 4,
+  labelColour: '#1f2937',
+  badgeRadius: 6,
+  badgeColour: '#1f2937'
 };
 
+/**
+ * Marker shapes available through style.shape.
+ *
+ * Shapes other than the circle are sized to cover roughly the same area as
+ * a circle of the marker's radius, so mixed shapes look equally heavy. A
+ * pin's point sits on the marker's coordinates.
+ */
+export const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'ring', 'pin'];
+
+/**
+ * Label display modes available through style.labels.
+ */
+export const LABEL_MODES = ['always', 'hover', 'never'];
+
+// Label placements tried in order when avoiding collisions
+const LABEL_POSITIONS = ['right', 'left', 'top', 'bottom'];
+
+// Glow gradients are shared by colour within each map SVG: the number of
+// markers using each one, by SVG and then colour
+const glowGradientCounts = new WeakMap();
+
+// The SVG and colour of the gradient each glowing marker uses
+const markerGlows = new WeakMap();
+
+/**
+ * Create the context marker functions work within for one map.
+ *
+ * Marker lookups, glow gradients and group visibility rules are scoped to
+ * the context's SVG, so several maps on one page don't affect each other.
+ * Functions given no context work on the whole document and its first SVG.
+ *
+ * @param {SVGSVGElement} svg - Map SVG
+ * @returns {Object} Marker context {svg, root}
+ *
+ * @example
+ * const context = createMarkerContext(document.getElementById('app-a-map'));
+ * updateMarker('app-a-map:production:fra', {style: {colour: '#ef4444'}}, context);
+ */
+export function createMarkerContext(svg) {
+  return {svg, root: svg};
+}
+
+/**
+ * Remove the glow gradients and visibility rules created for a map.
+ *
+ * @param {Object} context - Marker context from createMarkerContext()
+ */
+export function destroyMarkerContext(context) {
+  clearGlowGradients(context.svg);
+
+  const style = document.getElementById(getVisibilityStyleId(context));
+  if (style) {
+    style.remove();
+  }
+}
+
+/**
+ * Find a marker element by ID within a map.
+ *
+ * @param {string} markerId - ID of marker
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
+ * @returns {SVGElement|null} Marker element
+ */
+export function getMarkerElement(markerId, context = getDocumentContext()) {
+  return context.root.querySelector(`[id="${escapeAttribute(markerId)}"]`);
+}
+
 /**
  * Create a new SVG marker element.
  *
  * @param {Object} options - Marker creation options
  * @param {string} options.id - Unique marker ID
  * @param {Object} options.style - Marker style configuration
+ * @param {string} options.style.shape - One of MARKER_SHAPES (default 'circle')
+ * @param {string} options.style.icon - ID of an SVG <symbol> to draw on the
+ *   marker, e.g. 'icon-database' or '#icon-database'
+ * @param {string} options.style.icon_colour - Icon colour (default white)
+ * @param {string} options.style.labels - Label display, one of LABEL_MODES
+ *   (default 'never')
  * @param {number} options.x - X coordinate
  * @param {number} options.y - Y coordinate
+ * @param {string} options.label - Label text shown next to the marker
+ * @param {number|string} options.badge - Small badge value, e.g. a machine count
+ * @param {string} options.accessibleName - Name read by screen readers; makes
+ *   the marker a keyboard-reachable button
  * @param {Object} options.dataAttrs - Additional data attributes
+ * @param {Object} options.context - Marker context of the map the marker
+ *   will be added to, which holds its glow gradient (optional, uses the
+ *   document's first SVG if not provided)
  * @returns {SVGElement} Created marker group element
  *
  * @example
@@ -39,6 +128,15 @@ export const MARKER_CONFIG = {
  *   x: 166.9,
  *   y: 131.1
  * });
+ *
+ * const database = createMarker({
+ *   id: 'db-fra',
+ *   style: {colour: '#3b82f6', shape: 'square', icon: 'icon-database', labels: 'hover'},
+ *   x: 420.0,
+ *   y: 86.9,
+ *   label: 'db-primary',
+ *   badge: 3
+ * });
  */
 export function createMarker(options) {
   const {
@@ -46,45 +144,59 @@ export function createMarker(options) {
     style = {},
     x = 0,
     y = 0,
-    dataAttrs = {}
+    label,
+    badge,
+    accessibleName,
+    dataAttrs = {},
+    context = getDocumentContext()
   } = options;
+  const svg = context.svg;
 
   // Extract style properties with defaults
   const radius = style.size || MARKER_CONFIG.defaultRadius;
   const colour = style.colour || '#6b7280';
-  const animation = style.animation || 'none';
+  const animation = getEffectiveAnimation(style.animation);
   const glow = style.glow || false;
+  const shape = normalizeShape(style.shape);
 
   // Create marker group
   const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
   group.setAttribute('id', id);
   group.setAttribute('class', getMarkerClass(animation));
+  group.setAttribute('data-shape', shape);
 
   // Add data attributes
   Object.entries(dataAttrs).forEach(([key, value]) => {
     group.setAttribute(key, value);
   });
 
-  // Create main circle
-  const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-  circle.setAttribute('cx', x);
-  circle.setAttribute('cy', y);
-  circle.setAttribute('r', radius);
-  circle.setAttribute('stroke', 'none');
-  circle.setAttribute('fill', glow ? getGlowFill(colour, id) : colour);
+  if (accessibleName) {
+    setAccessibleName(group, accessibleName);
+  }
+
+  // Create main shape
+  const shapeElement = createShapeElement(shape, x, y, radius);
+  shapeElement.setAttribute(getPaintAttribute(shape), glow ? getGlowFill(svg, colour) : colour);
 
   // Add animations
   if (animation === 'pulse') {
-    addPulseAnimation(circle, radius);
+    addPulseAnimation(shapeElement, radius, shape);
   } else if (animation === 'fade') {
-    addFadeAnimation(circle);
+    addFadeAnimation(shapeElement);
   }
 
-  group.appendChild(circle);
+  group.appendChild(shapeElement);
+
+  if (style.icon) {
+    setMarkerIcon(group, style.icon, style.icon_colour);
+  }
 
-  // Create glow gradient if needed
+  setMarkerBadge(group, badge);
+  setMarkerLabel(group, label, style.labels);
+
+  // Use the shared glow gradient for this colour
   if (glow) {
-    createGlowGradient(colour, id);
+    setMarkerGlow(group, svg, colour);
   }
 
   return group;
@@ -97,7 +209,11 @@ export function createMarker(options) {
  * @param {Object} updates - Updates to apply
  * @param {number} updates.x - New X coordinate
  * @param {number} updates.y - New Y coordinate
+ * @param {string|null} updates.label - New label text (null removes it)
+ * @param {number|string|null} updates.badge - New badge value (null removes it)
+ * @param {string} updates.accessibleName - New screen reader name
  * @param {Object} updates.style - New style properties
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
  * @returns {boolean} True if marker was found and updated
  *
  * @example
@@ -105,80 +221,247 @@ export function createMarker(options) {
  *   x: 200,
  *   y: 150,
  *   style: {colour: '#ef4444', size: 10}
- * });
+ * }, context);
  */
-export function updateMarker(markerId, updates) {
-  const marker = document.getElementById(markerId);
+export function updateMarker(markerId, updates, context = getDocumentContext()) {
+  const marker = getMarkerElement(markerId, context);
   if (!marker) {
     return false;
   }
 
-  const circle = marker.querySelector('circle');
-  if (!circle) {
+  let shapeElement = getShapeElement(marker);
+  if (!shapeElement) {
     return false;
   }
 
-  // Update position
-  if (updates.x !== undefined) {
-    circle.setAttribute('cx', updates.x);
+  const style = updates.style || {};
+
+  // Swap the shape first so the remaining updates apply to the new one
+  if (style.shape !== undefined && normalizeShape(style.shape) !== getMarkerShape(marker)) {
+    shapeElement = replaceShapeElement(marker, shapeElement, normalizeShape(style.shape));
   }
-  if (updates.y !== undefined) {
-    circle.setAttribute('cy', updates.y);
+
+  // Update position and size
+  const geometry = getMarkerGeometry(marker);
+  const x = updates.x !== undefined ? updates.x : geometry.x;
+  const y = updates.y !== undefined ? updates.y : geometry.y;
+  const radius = style.size !== undefined ? style.size : geometry.size;
+  if (x !== geometry.x || y !== geometry.y || radius !== geometry.size) {
+    setShapeGeometry(marker, shapeElement, x, y, radius);
   }
 
   // Update style
   if (updates.style) {
-    const style = updates.style;
-
     if (style.colour) {
       const glow = style.glow || false;
-      circle.setAttribute('fill', glow ? getGlowFill(style.colour, markerId) : style.colour);
+      const svg = marker.ownerSVGElement;
+      shapeElement.setAttribute(
+        getPaintAttribute(getMarkerShape(marker)),
+        glow ? getGlowFill(svg, style.colour) : style.colour
+      );
 
-      if (glow) {
-        createGlowGradient(style.colour, markerId);
-      }
+      setMarkerGlow(marker, svg, glow ? style.colour : null);
     }
 
-    if (style.size !== undefined) {
-      circle.setAttribute('r', style.size);
-
-      // Update pulse animation if present
-      const pulseAnim = circle.querySelector('animate[attributeName="r"]');
-      if (pulseAnim) {
-        updatePulseAnimation(pulseAnim, style.size);
-      }
+    if (style.animation !== undefined) {
+      updateMarkerAnimation(marker, shapeElement, style.animation, radius);
     }
 
-    if (style.animation !== undefined) {
-      updateMarkerAnimation(marker, circle, style.animation, style.size || MARKER_CONFIG.defaultRadius);
+    if (style.icon !== undefined || style.icon_colour !== undefined) {
+      const icon = marker.querySelector('.marker-icon');
+      const href = style.icon !== undefined ? style.icon : icon && icon.getAttribute('href');
+      setMarkerIcon(marker, href, style.icon_colour);
     }
   }
 
+  if (updates.badge !== undefined) {
+    setMarkerBadge(marker, updates.badge);
+  }
+
+  if (updates.accessibleName) {
+    setAccessibleName(marker, updates.accessibleName);
+  }
+
+  if (updates.label !== undefined || style.labels !== undefined) {
+    setMarkerLabel(
+      marker,
+      updates.label !== undefined ? updates.label : marker.getAttribute('data-label'),
+      style.labels !== undefined ? style.labels : marker.getAttribute('data-label-mode')
+    );
+  }
+
+  // Keep any viewport scaling centred on the new position
+  applyMarkerScale(marker);
+
+  return true;
+}
+
+/**
+ * Get a marker's position, size and colour.
+ *
+ * @param {SVGElement} marker - Marker group element
+ * @returns {Object|null} Geometry {x, y, size, colour}, where colour is the
+ *   shape's paint (a colour, or a gradient url() for glowing markers), or
+ *   null if the element isn't a marker
+ *
+ * @example
+ * getMarkerGeometry(marker) // => {x: 166.9, y: 131.1, size: 8, colour: '#3b82f6'}
+ */
+export function getMarkerGeometry(marker) {
+  const shapeElement = marker && getShapeElement(marker);
+  if (!shapeElement) {
+    return null;
+  }
+
+  const shape = getMarkerShape(marker);
+  const isCircle = shapeElement.tagName.toLowerCase() === 'circle';
+
+  return {
+    x: parseFloat(shapeElement.getAttribute(isCircle ? 'cx' : 'data-x')),
+    y: parseFloat(shapeElement.getAttribute(isCircle ? 'cy' : 'data-y')),
+    size: parseFloat(shapeElement.getAttribute(isCircle ? 'r' : 'data-size')),
+    colour: shapeElement.getAttribute(getPaintAttribute(shape))
+  };
+}
+
+/**
+ * Move a marker element to a new position.
+ *
+ * Unlike updateMarker, works on elements that aren't in the document, such
+ * as cloned markers.
+ *
+ * @param {SVGElement} marker - Marker group element
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} True if the element is a marker and was moved
+ */
+export function setMarkerPosition(marker, x, y) {
+  const geometry = getMarkerGeometry(marker);
+  if (!geometry) {
+    return false;
+  }
+
+  setShapeGeometry(marker, getShapeElement(marker), x, y, geometry.size);
+  applyMarkerScale(marker);
   return true;
 }
 
+/**
+ * Place marker labels so they don't overlap.
+ *
+ * Each label is tried to the right, left, above and below its marker and
+ * takes the first spot clear of labels already placed; labels with no
+ * clear spot are hidden. Markers earlier in the list win. Hover labels and
+ * hidden markers are skipped.
+ *
+ * Label sizes are estimated from the text length rather than measured, so
+ * layout doesn't force the browser to compute styles.
+ *
+ * @param {Array} markers - Marker group elements
+ * @returns {number} Number of labels hidden to avoid overlaps
+ *
+ * @example
+ * layoutMarkerLabels(Array.from(activeMarkers.values()));
+ */
+export function layoutMarkerLabels(markers) {
+  const placed = [];
+  let hidden = 0;
+
+  markers.forEach(marker => {
+    const label = marker.querySelector('.marker-label');
+    if (!label || marker.getAttribute('data-label-mode') !== 'always') {
+      return;
+    }
+    if (marker.style.display === 'none') {
+      return;
+    }
+
+    const geometry = getMarkerGeometry(marker);
+    const scale = parseFloat(marker.dataset.markerScale) || 1;
+    const text = label.textContent || '';
+    const width = text.length * MARKER_CONFIG.labelFontSize * 0.6 * scale;
+    const height = MARKER_CONFIG.labelFontSize * 1.2 * scale;
+
+    const position = LABEL_POSITIONS.find(candidate => {
+      const box = getLabelBox(candidate, marker, geometry, scale, width, height);
+      return !placed.some(other => boxesOverlap(box, other));
+    });
+
+    if (!position) {
+      label.setAttribute('visibility', 'hidden');
+      hidden++;
+      return;
+    }
+
+    label.removeAttribute('visibility');
+    label.setAttribute('data-position', position);
+    positionMarkerLabel(marker, geometry.x, geometry.y, geometry.size);
+    placed.push(getLabelBox(position, marker, geometry, scale, width, height));
+  });
+
+  return hidden;
+}
+
+/**
+ * Scale a marker about its own centre.
+ *
+ * Used by the viewport controller to keep marker radii constant on screen:
+ * when the map is zoomed in by a factor of k, markers are scaled by 1/k.
+ *
+ * @param {SVGElement} marker - Marker group element
+ * @param {number} scale - Scale factor (1 removes scaling)
+ *
+ * @example
+ * setMarkerScale(marker, 1 / viewport.zoom);
+ */
+export function setMarkerScale(marker, scale) {
+  if (scale === 1) {
+    delete marker.dataset.markerScale;
+  } else {
+    marker.dataset.markerScale = scale;
+  }
+
+  applyMarkerScale(marker);
+}
+
 /**
  * Remove a marker from the map.
  *
  * @param {string} markerId - ID of marker to remove
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
  * @returns {boolean} True if marker was found and removed
  */
-export function removeMarker(markerId) {
-  const marker = document.getElementById(markerId);
+export function removeMarker(markerId, context = getDocumentContext()) {
+  const marker = getMarkerElement(markerId, context);
   if (!marker) {
     return false;
   }
 
+  // Release its glow gradient, which goes once no marker uses it
+  setMarkerGlow(marker, null, null);
   marker.remove();
 
-  // Clean up glow gradient if it exists
-  const gradientId = `glow-gradient-${markerId}`;
-  const gradient = document.getElementById(gradientId);
-  if (gradient) {
-    gradient.remove();
+  return true;
+}
+
+/**
+ * Remove all glow gradients created for markers in a map SVG.
+ *
+ * For tearing a map down; markers still on it lose their glow.
+ *
+ * @param {SVGSVGElement} svg - Map SVG
+ */
+export function clearGlowGradients(svg) {
+  const counts = glowGradientCounts.get(svg);
+  if (!counts) {
+    return;
   }
 
-  return true;
+  counts.forEach((count, colour) => {
+    const gradient = findGlowGradient(svg, colour);
+    if (gradient) gradient.remove();
+  });
+  glowGradientCounts.delete(svg);
 }
 
 /**
@@ -186,6 +469,8 @@ export function removeMarker(markerId) {
  *
  * @param {Array} markerGroups - Array of marker group objects
  * @param {Object} bbox - Bounding box for coordinate transformation
+ * @param {string|Object} projection - Map projection name or object
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
  * @returns {Array} Array of created marker elements
  *
  * @example
@@ -197,64 +482,317 @@ export function removeMarker(markerId) {
  *   }
  * ]);
  */
-export function createMarkersFromGroups(markerGroups, bbox = MAP_BBOX) {
-  const markers = [];
+export function createMarkersFromGroups(markerGroups, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION, context = getDocumentContext()) {
+  return describeMarkersFromGroups(markerGroups, bbox, projection, getContextMapId(context))
+    .map(descriptor => createMarker({...descriptor, context}));
+}
+
+/**
+ * Create a single marker for a node in a marker group.
+ *
+ * Accepts every node format FlyMapEx.Nodes.normalize_node/1 accepts (see
+ * markerToLatLng) and applies the group's style, glow and data attributes,
+ * matching markers created by createMarkersFromGroups.
+ *
+ * @param {string|Object|Array} node - Node data
+ * @param {Object} group - Marker group the node belongs to ({id, style, group_label})
+ * @param {Object} options - Creation options
+ * @param {string} options.markerId - Stable marker ID (derived from the node if omitted)
+ * @param {Object} options.bbox - Bounding box for coordinate transformation
+ * @param {string|Object} options.projection - Map projection name or object
+ * @param {Object} options.context - Marker context of the map the marker will be added to
+ * @returns {SVGElement|null} Created marker element, or null if the node
+ *   has no valid coordinates
+ *
+ * @example
+ * const marker = createSingleMarker(
+ *   {label: 'web-1', region: 'fra'},
+ *   {id: 'production', style: {colour: '#3b82f6', glow: true}, group_label: 'Production'}
+ * );
+ * marker.id // => "fly-region-map:production:web-1%40fra"
+ */
+export function createSingleMarker(node, group, options = {}) {
+  const {
+    markerId = getStableMarkerId(node),
+    bbox = MAP_BBOX,
+    projection = DEFAULT_PROJECTION,
+    context
+  } = options;
+
+  const coords = markerToSvg(node, bbox, projection);
+  if (!coords) {
+    return null;
+  }
+
+  const groupId = group.id;
+
+  return createMarker({
+    id: getMarkerElementId(groupId, markerId, getContextMapId(context || getDocumentContext())),
+    style: group.style || {},
+    x: coords.x,
+    y: coords.y,
+    label: getNodeField(node, 'label'),
+    badge: getNodeField(node, 'badge'),
+    accessibleName: getMarkerAccessibleName(node, group, markerId),
+    dataAttrs: getMarkerDataAttrs(group, groupId, markerId),
+    context
+  });
+}
+
+/**
+ * Build the name screen readers announce for a marker.
+ *
+ * Combines the node's label, its region's name and the group's label,
+ * falling back to the marker ID when none of these are known.
+ *
+ * @param {string|Object|Array} node - Node data
+ * @param {Object} group - Marker group ({group_label})
+ * @param {string} markerId - Stable marker ID
+ * @returns {string} Accessible name
+ *
+ * @example
+ * getMarkerAccessibleName({label: 'web-1', region: 'fra'}, {group_label: 'Production'}, 'web-1@fra')
+ * // => "web-1, Frankfurt (fra), Production"
+ */
+export function getMarkerAccessibleName(node, group, markerId) {
+  const region = typeof node === 'string' ? node : getNodeField(node, 'region');
+  const regionName = typeof region === 'string' ? getRegionName(region) : null;
+  const parts = [
+    getNodeField(node, 'label'),
+    regionName && regionName !== region ? `${regionName} (${region})` : region,
+    group && (group.group_label || group.label)
+  ].filter(part => part !== null && part !== undefined && part !== '');
+
+  return parts.length > 0 ? parts.join(', ') : String(markerId);
+}
+
+/**
+ * Describe the markers for marker groups without creating elements.
+ *
+ * Returns the element ID, stable marker ID, position, style and data
+ * attributes of each marker, so callers can diff against markers already
+ * on the map. `nodeIndex` is the node's position in the group's node list.
+ *
+ * @param {Array} markerGroups - Array of marker group objects
+ * @param {Object} bbox - Bounding box for coordinate transformation
+ * @param {string|Object} projection - Map projection name or object
+ * @param {string} mapId - ID of the map SVG, to scope element IDs to it
+ * @param {Object} logger - Logger for skipped nodes (see map_logger.js;
+ *   silent by default)
+ * @returns {Array} Marker descriptors
+ *   [{id, markerId, nodeIndex, groupId, x, y, style, dataAttrs}]
+ */
+export function describeMarkersFromGroups(markerGroups, bbox = MAP_BBOX, projection = DEFAULT_PROJECTION, mapId, logger = SILENT_LOGGER) {
+  const descriptors = [];
 
   markerGroups.forEach((group, groupIndex) => {
     const nodes = group.nodes || group.markers || [];
     const groupStyle = group.style || {};
     const groupId = group.id || `group-${groupIndex}`;
+    const keyCounts = new Map();
+    const markerIds = new Set();
 
     nodes.forEach((node, nodeIndex) => {
-      const coords = markerToSvg(node, bbox);
+      const coords = markerToSvg(node, bbox, projection);
       if (!coords) {
-        console.warn(`Failed to get coordinates for marker:`, node);
+        logger.warn(`Skipping marker without valid coordinates in group ${groupId}:`, node);
+        return;
+      }
+
+      const markerId = getStableMarkerId(node, keyCounts);
+
+      // Two markers can't share an element; the first node with an ID keeps it
+      if (markerIds.has(markerId)) {
+        logger.warn(`Skipping marker with duplicate id ${markerId} in group ${groupId}:`, node);
         return;
       }
+      markerIds.add(markerId);
 
-      const markerId = `${groupId}-${nodeIndex}`;
-      const dataAttrs = group.group_label ? {
-        'data-group': sanitizeGroupLabel(group.group_label)
-      } : {};
+      const dataAttrs = getMarkerDataAttrs(group, groupId, markerId);
 
-      const marker = createMarker({
-        id: markerId,
+      descriptors.push({
+        id: getMarkerElementId(groupId, markerId, mapId),
+        markerId,
+        nodeIndex,
+        groupId,
         style: groupStyle,
         x: coords.x,
         y: coords.y,
+        label: getNodeField(node, 'label'),
+        badge: getNodeField(node, 'badge'),
+        accessibleName: getMarkerAccessibleName(node, group, markerId),
         dataAttrs
       });
-
-      markers.push(marker);
     });
   });
 
-  return markers;
+  return descriptors;
+}
+
+/**
+ * Get a node's stable marker ID within its group.
+ *
+ * Uses the node's own `id` when the payload provides one. Otherwise the ID
+ * is derived from the node's content with getNodeKey(), with `#n` appended
+ * to the nth repeat of an identical node. Derived IDs of repeated nodes
+ * depend on their order, so payloads with duplicate nodes should carry
+ * explicit IDs.
+ *
+ * @param {string|Object|Array} node - Node in any supported format
+ * @param {Map} seen - Occurrence counts of derived IDs in the group so far;
+ *   updated in place
+ * @returns {string} Stable marker ID
+ *
+ * @example
+ * const seen = new Map();
+ * getStableMarkerId("fra", seen) // => "fra"
+ * getStableMarkerId("fra", seen) // => "fra#1"
+ * getStableMarkerId({id: "m-42", region: "fra"}, seen) // => "m-42"
+ */
+export function getStableMarkerId(node, seen = new Map()) {
+  if (node && typeof node === 'object' && !Array.isArray(node) &&
+      (typeof node.id === 'string' || typeof node.id === 'number')) {
+    return String(node.id);
+  }
+
+  // Disambiguate identical nodes (e.g. several machines in one region)
+  const key = getNodeKey(node);
+  const occurrence = seen.get(key) || 0;
+  seen.set(key, occurrence + 1);
+
+  return occurrence === 0 ? key : `${key}#${occurrence}`;
+}
+
+/**
+ * Index a group's nodes by stable marker ID.
+ *
+ * Gives the same IDs as describeMarkersFromGroups, skipping nodes without
+ * valid coordinates, but without projecting the nodes, so marker lookups
+ * don't cost a full describe of the group.
+ *
+ * @param {Array} nodes - The group's nodes
+ * @returns {Object} Index {ids, seen}: `ids` maps marker ID to node index,
+ *   `seen` holds the occurrence counts for appending with addToMarkerIndex()
+ *
+ * @example
+ * indexMarkerIds(['fra', 'nowhere', 'fra']).ids // => Map {"fra" => 0, "fra#1" => 2}
+ */
+export function indexMarkerIds(nodes) {
+  const index = {ids: new Map(), seen: new Map()};
+  nodes.forEach((node, nodeIndex) => addToMarkerIndex(index, node, nodeIndex));
+  return index;
+}
+
+/**
+ * Add a node appended to a group to the group's marker index.
+ *
+ * @param {Object} index - Index from indexMarkerIds()
+ * @param {string|Object|Array} node - Appended node
+ * @param {number} nodeIndex - The node's position in the group
+ * @returns {string|null} The node's marker ID, or null if it has no valid
+ *   coordinates
+ */
+export function addToMarkerIndex(index, node, nodeIndex) {
+  if (!markerToLatLng(node)) {
+    return null;
+  }
+
+  // A repeated explicit ID resolves to the first node carrying it
+  const markerId = getStableMarkerId(node, index.seen);
+  if (!index.ids.has(markerId)) {
+    index.ids.set(markerId, nodeIndex);
+  }
+  return markerId;
+}
+
+/**
+ * Get the DOM element ID for a marker.
+ *
+ * The parts are URI-encoded and joined with ':', which encoding never
+ * leaves in a part, so IDs stay distinct whatever the group and marker IDs
+ * contain. Prefixing the map ID keeps IDs unique across maps on one page.
+ *
+ * @param {string} groupId - Marker group ID
+ * @param {string} markerId - Stable marker ID within the group
+ * @param {string} mapId - ID of the map SVG (omitted from the ID if not given)
+ * @returns {string} Element ID
+ *
+ * @example
+ * getMarkerElementId("production", "fra", "fly-region-map") // => "fly-region-map:production:fra"
+ * getMarkerElementId("a-b", "c") // => "a-b:c"
+ */
+export function getMarkerElementId(groupId, markerId, mapId) {
+  const parts = mapId ? [mapId, groupId, markerId] : [groupId, markerId];
+  return parts.map(part => encodeURIComponent(String(part))).join(':');
+}
+
+/**
+ * Build a key identifying a node by its content rather than its position
+ * in the group's node list.
+ *
+ * Uses the node's label together with its region or coordinates, so the
+ * same node keeps its key when other nodes are added or removed.
+ * Coordinates are keyed as "lat,lng" whether given as a list or a map.
+ *
+ * @param {string|Object|Array} node - Node in any supported format
+ * @returns {string} Node key
+ *
+ * @example
+ * getNodeKey("sjc") // => "sjc"
+ * getNodeKey([37, -122]) // => "37,-122"
+ * getNodeKey({label: "web-1", region: "fra"}) // => "web-1@fra"
+ * getNodeKey({label: "lab", coordinates: {lat: 0, lng: 12.5}}) // => "lab@0,12.5"
+ */
+export function getNodeKey(node) {
+  if (typeof node === 'string') {
+    return node;
+  }
+
+  if (Array.isArray(node)) {
+    return node.join(',');
+  }
+
+  if (node && typeof node === 'object') {
+    const location = node.region ||
+      getCoordinateKey(node.coordinates !== undefined ? node.coordinates : node);
+
+    return node.label ? `${node.label}@${location}` : location;
+  }
+
+  return String(node);
 }
 
 /**
  * Toggle visibility of marker group.
  *
+ * Hides the elements carrying the group's `data-group` attribute: its
+ * markers, and other layers drawn for it.
+ *
  * @param {string} groupLabel - Group label to toggle
  * @param {boolean} visible - Whether group should be visible
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
  */
-export function toggleMarkerGroup(groupLabel, visible) {
+export function toggleMarkerGroup(groupLabel, visible, context = getDocumentContext()) {
   const safeLabel = sanitizeGroupLabel(groupLabel);
-  const className = `group-hidden-${safeLabel}`;
-  const existingStyle = document.getElementById('group-visibility-styles');
+  const styleId = getVisibilityStyleId(context);
 
-  if (!existingStyle) {
+  if (!document.getElementById(styleId)) {
     const style = document.createElement('style');
-    style.id = 'group-visibility-styles';
+    style.id = styleId;
     document.head.appendChild(style);
   }
 
-  const styleSheet = document.getElementById('group-visibility-styles').sheet;
-  const rule = `.${className} { display: none !important; }`;
+  // Rules only reach this map's elements
+  const scope = context.root === document || !context.svg.id
+    ? ''
+    : `svg[id="${escapeAttribute(context.svg.id)}"] `;
+  const selector = `${scope}[data-group="${safeLabel}"]`;
+  const styleSheet = document.getElementById(styleId).sheet;
+  const rule = `${selector} { display: none !important; }`;
 
   // Remove existing rule if present
   for (let i = styleSheet.cssRules.length - 1; i >= 0; i--) {
-    if (styleSheet.cssRules[i].selectorText === `.${className}`) {
+    if (styleSheet.cssRules[i].selectorText === selector) {
       styleSheet.deleteRule(i);
     }
   }
@@ -265,15 +803,462 @@ export function toggleMarkerGroup(groupLabel, visible) {
   }
 }
 
+/**
+ * Build the SVG path for a path-drawn marker shape.
+ *
+ * @param {string} shape - 'square', 'triangle', 'diamond' or 'pin'
+ * @param {number} x - X coordinate of the marker
+ * @param {number} y - Y coordinate of the marker
+ * @param {number} radius - Marker radius
+ * @returns {string} Path data, or '' for shapes drawn as circles
+ *
+ * @example
+ * getShapePath('square', 100, 50, 8)
+ * // => "M 92.91 42.91 L 107.09 42.91 L 107.09 57.09 L 92.91 57.09 Z"
+ */
+export function getShapePath(shape, x, y, radius) {
+  const f = value => Number(value.toFixed(2));
+
+  switch (shape) {
+    case 'square': {
+      const half = radius * 0.886;
+      return `M ${f(x - half)} ${f(y - half)} L ${f(x + half)} ${f(y - half)} ` +
+        `L ${f(x + half)} ${f(y + half)} L ${f(x - half)} ${f(y + half)} Z`;
+    }
+    case 'diamond': {
+      const half = radius * 1.25;
+      return `M ${f(x)} ${f(y - half)} L ${f(x + half)} ${f(y)} ` +
+        `L ${f(x)} ${f(y + half)} L ${f(x - half)} ${f(y)} Z`;
+    }
+    case 'triangle': {
+      // Equilateral, centred on its centroid
+      const circumradius = radius * 1.55;
+      const halfBase = circumradius * Math.sqrt(3) / 2;
+      return `M ${f(x)} ${f(y - circumradius)} L ${f(x + halfBase)} ${f(y + circumradius / 2)} ` +
+        `L ${f(x - halfBase)} ${f(y + circumradius / 2)} Z`;
+    }
+    case 'pin': {
+      // Teardrop with its point on the coordinates and round head above
+      const head = radius * 0.8;
+      return `M ${f(x)} ${f(y)} L ${f(x - radius * 0.7)} ${f(y - radius * 1.5)} ` +
+        `A ${f(head)} ${f(head)} 0 1 1 ${f(x + radius * 0.7)} ${f(y - radius * 1.5)} Z`;
+    }
+    default:
+      return '';
+  }
+}
+
 // Helper functions
 
+// Context for callers that don't pass one: the whole document
+function getDocumentContext() {
+  return {svg: document.querySelector('svg'), root: document};
+}
+
+function getContextMapId(context) {
+  return context && context.svg ? context.svg.id : undefined;
+}
+
+function getVisibilityStyleId(context) {
+  return context.root === document || !context.svg.id
+    ? 'group-visibility-styles'
+    : `${sanitizeId(context.svg.id)}-group-visibility-styles`;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/["\\]/g, '\\$&');
+}
+
+function getMarkerDataAttrs(group, groupId, markerId) {
+  return {
+    'data-group-id': groupId,
+    'data-marker-id': markerId,
+    // Groups without a label are toggled by ID
+    'data-group': sanitizeGroupLabel(group.group_label || String(groupId))
+  };
+}
+
+function normalizeShape(shape) {
+  return MARKER_SHAPES.includes(shape) ? shape : 'circle';
+}
+
+function getMarkerShape(marker) {
+  return normalizeShape(marker.getAttribute('data-shape'));
+}
+
+function getShapeElement(marker) {
+  return marker.querySelector('.marker-shape') || marker.querySelector('circle');
+}
+
+function getPaintAttribute(shape) {
+  return shape === 'ring' ? 'stroke' : 'fill';
+}
+
+function createShapeElement(shape, x, y, radius) {
+  const isCircle = shape === 'circle' || shape === 'ring';
+  const element = document.createElementNS('http://www.w3.org/2000/svg', isCircle ? 'circle' : 'path');
+  element.setAttribute('class', 'marker-shape');
+
+  if (shape === 'ring') {
+    element.setAttribute('fill', 'none');
+  } else {
+    element.setAttribute('stroke', 'none');
+  }
+
+  writeShapeGeometry(element, shape, x, y, radius);
+  return element;
+}
+
+function replaceShapeElement(marker, oldElement, shape) {
+  const oldShape = getMarkerShape(marker);
+  const {x, y, size, colour} = getMarkerGeometry(marker);
+
+  const element = createShapeElement(shape, x, y, size);
+  element.setAttribute(getPaintAttribute(shape), colour || '#6b7280');
+
+  // Carry the running animation over to the new shape
+  if (oldElement.querySelector('animate[attributeName="r"], animate[attributeName="d"]')) {
+    addPulseAnimation(element, size, shape);
+  } else if (oldElement.querySelector('animate[attributeName="opacity"]')) {
+    addFadeAnimation(element);
+  }
+
+  marker.replaceChild(element, oldElement);
+  marker.setAttribute('data-shape', shape);
+
+  if (oldShape === 'pin' || shape === 'pin') {
+    positionMarkerDecorations(marker, x, y, size);
+  }
+  if (marker.getAttribute('data-label-mode') === 'hover') {
+    element.style.pointerEvents = 'all';
+  }
+
+  return element;
+}
+
+function setShapeGeometry(marker, element, x, y, radius) {
+  const shape = getMarkerShape(marker);
+  writeShapeGeometry(element, shape, x, y, radius);
+
+  // Pulses are drawn around the current geometry
+  const pulseAnim = element.querySelector('animate[attributeName="r"], animate[attributeName="d"]');
+  if (pulseAnim) {
+    updatePulseAnimation(pulseAnim, radius, shape);
+  }
+
+  positionMarkerDecorations(marker, x, y, radius);
+}
+
+function writeShapeGeometry(element, shape, x, y, radius) {
+  if (shape === 'circle' || shape === 'ring') {
+    element.setAttribute('cx', x);
+    element.setAttribute('cy', y);
+    element.setAttribute('r', radius);
+    if (shape === 'ring') {
+      element.setAttribute('stroke-width', radius * 0.4);
+    }
+    return;
+  }
+
+  element.setAttribute('data-x', x);
+  element.setAttribute('data-y', y);
+  element.setAttribute('data-size', radius);
+  element.setAttribute('d', getShapePath(shape, x, y, radius));
+}
+
+function setMarkerIcon(marker, icon, iconColour) {
+  let element = marker.querySelector('.marker-icon');
+
+  if (!icon) {
+    if (element) element.remove();
+    return;
+  }
+
+  if (!element) {
+    element = document.createElementNS('http://www.w3.org/2000/svg', 'use');
+    element.setAttribute('class', 'marker-icon');
+    element.setAttribute('pointer-events', 'none');
+    marker.appendChild(element);
+  }
+
+  element.setAttribute('href', icon.includes('#') ? icon : `#${icon}`);
+  if (iconColour || !element.hasAttribute('fill')) {
+    // Symbols drawn with currentColor pick up the colour too
+    const colour = iconColour || MARKER_CONFIG.defaultIconColour;
+    element.setAttribute('fill', colour);
+    element.setAttribute('color', colour);
+  }
+
+  const {x, y, size} = getMarkerGeometry(marker);
+  positionMarkerIcon(marker, x, y, size);
+}
+
+function positionMarkerDecorations(marker, x, y, radius) {
+  positionMarkerIcon(marker, x, y, radius);
+  positionMarkerLabel(marker, x, y, radius);
+  positionMarkerBadge(marker, x, y, radius);
+}
+
+function positionMarkerIcon(marker, x, y, radius) {
+  const icon = marker.querySelector('.marker-icon');
+  if (!icon) return;
+
+  // A pin's icon sits in its head
+  const pin = getMarkerShape(marker) === 'pin';
+  const iconSize = radius * (pin ? 1.0 : MARKER_CONFIG.iconScale);
+  const cy = getShapeCentreY(marker, y, radius);
+
+  icon.setAttribute('x', x - iconSize / 2);
+  icon.setAttribute('y', cy - iconSize / 2);
+  icon.setAttribute('width', iconSize);
+  icon.setAttribute('height', iconSize);
+}
+
+function getShapeCentreY(marker, y, radius) {
+  return getMarkerShape(marker) === 'pin' ? y - radius * 1.9 : y;
+}
+
+// Coordinates in any form markerToLatLng accepts, as "lat,lng"
+function getCoordinateKey(coords) {
+  const latLng = markerToLatLng(coords);
+  return latLng ? `${latLng.lat},${latLng.lng}` : '';
+}
+
+function getNodeField(node, field) {
+  if (node && typeof node === 'object' && !Array.isArray(node) && node[field] !== undefined) {
+    return node[field];
+  }
+  return null;
+}
+
+function setMarkerLabel(marker, label, mode) {
+  const labelMode = LABEL_MODES.includes(mode) ? mode : 'never';
+  let element = marker.querySelector('.marker-label');
+
+  if (label === null || label === undefined || label === '') {
+    marker.removeAttribute('data-label');
+  } else {
+    marker.setAttribute('data-label', label);
+  }
+  marker.setAttribute('data-label-mode', labelMode);
+  marker.classList.toggle('labels-hover', labelMode === 'hover');
+
+  // Hover labels need the shape to receive pointer events
+  const shapeElement = getShapeElement(marker);
+  if (shapeElement) {
+    shapeElement.style.pointerEvents = labelMode === 'hover' ? 'all' : '';
+  }
+
+  if (!marker.hasAttribute('data-label') || labelMode === 'never') {
+    if (element) element.remove();
+    return;
+  }
+
+  if (!element) {
+    ensureLabelStyles();
+    element = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    element.setAttribute('class', 'marker-label');
+    element.setAttribute('font-size', MARKER_CONFIG.labelFontSize);
+    element.setAttribute('fill', MARKER_CONFIG.labelColour);
+    element.setAttribute('stroke', '#ffffff');
+    element.setAttribute('stroke-width', 3);
+    element.setAttribute('paint-order', 'stroke');
+    element.setAttribute('pointer-events', 'none');
+    marker.appendChild(element);
+  }
+
+  element.textContent = marker.getAttribute('data-label');
+
+  const {x, y, size} = getMarkerGeometry(marker);
+  positionMarkerLabel(marker, x, y, size);
+}
+
+function positionMarkerLabel(marker, x, y, radius) {
+  const label = marker.querySelector('.marker-label');
+  if (!label) return;
+
+  const cy = getShapeCentreY(marker, y, radius);
+  const offset = radius + MARKER_CONFIG.labelOffset;
+  const placement = {
+    right: {x: x + offset, y: cy, anchor: 'start', baseline: 'central'},
+    left: {x: x - offset, y: cy, anchor: 'end', baseline: 'central'},
+    top: {x, y: cy - offset, anchor: 'middle', baseline: 'auto'},
+    bottom: {x, y: cy + offset, anchor: 'middle', baseline: 'hanging'}
+  }[label.getAttribute('data-position')] || {x: x + offset, y: cy, anchor: 'start', baseline: 'central'};
+
+  label.setAttribute('x', placement.x);
+  label.setAttribute('y', placement.y);
+  label.setAttribute('text-anchor', placement.anchor);
+  label.setAttribute('dominant-baseline', placement.baseline);
+}
+
+// Bounding box of a label as drawn, after the marker's viewport scaling
+function getLabelBox(position, marker, geometry, scale, width, height) {
+  const {x, size} = geometry;
+  const y = geometry.y + (getShapeCentreY(marker, geometry.y, size) - geometry.y) * scale;
+  const offset = (size + MARKER_CONFIG.labelOffset) * scale;
+
+  switch (position) {
+    case 'left':
+      return {minX: x - offset - width, maxX: x - offset, minY: y - height / 2, maxY: y + height / 2};
+    case 'top':
+      return {minX: x - width / 2, maxX: x + width / 2, minY: y - offset - height, maxY: y - offset};
+    case 'bottom':
+      return {minX: x - width / 2, maxX: x + width / 2, minY: y + offset, maxY: y + offset + height};
+    default:
+      return {minX: x + offset, maxX: x + offset + width, minY: y - height / 2, maxY: y + height / 2};
+  }
+}
+
+function boxesOverlap(a, b) {
+  return a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+}
+
+function ensureLabelStyles() {
+  if (document.getElementById('marker-label-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'marker-label-styles';
+  style.textContent = `
+    .marker-group .marker-label { user-select: none; transition: opacity 0.2s; }
+    .marker-group.labels-hover .marker-label { opacity: 0; }
+    .marker-group.labels-hover:hover .marker-label { opacity: 1; }
+  `;
+  document.head.appendChild(style);
+}
+
+function setMarkerBadge(marker, badge) {
+  let element = marker.querySelector('.marker-badge');
+
+  if (badge === null || badge === undefined || badge === '') {
+    if (element) element.remove();
+    return;
+  }
+
+  if (!element) {
+    element = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    element.setAttribute('class', 'marker-badge');
+    element.setAttribute('pointer-events', 'none');
+
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('r', MARKER_CONFIG.badgeRadius);
+    circle.setAttribute('fill', MARKER_CONFIG.badgeColour);
+    circle.setAttribute('stroke', '#ffffff');
+    circle.setAttribute('stroke-width', 1);
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('fill', '#ffffff');
+    text.setAttribute('font-size', Math.round(MARKER_CONFIG.badgeRadius * 1.4));
+    text.setAttribute('font-weight', 'bold');
+
+    element.appendChild(circle);
+    element.appendChild(text);
+    marker.appendChild(element);
+  }
+
+  element.querySelector('text').textContent = badge;
+
+  const {x, y, size} = getMarkerGeometry(marker);
+  positionMarkerBadge(marker, x, y, size);
+}
+
+function positionMarkerBadge(marker, x, y, radius) {
+  const badge = marker.querySelector('.marker-badge');
+  if (!badge) return;
+
+  // Sit on the marker's top-right edge
+  const offset = radius * 0.75;
+  const cx = x + offset;
+  const cy = getShapeCentreY(marker, y, radius) - offset;
+
+  badge.querySelector('circle').setAttribute('cx', cx);
+  badge.querySelector('circle').setAttribute('cy', cy);
+  badge.querySelector('text').setAttribute('x', cx);
+  badge.querySelector('text').setAttribute('y', cy);
+}
+
+// Pulse and fade are decorative, so they're dropped when reduced motion is preferred
+function getEffectiveAnimation(animation) {
+  return prefersReducedMotion() ? 'none' : animation || 'none';
+}
+
+function setAccessibleName(marker, name) {
+  marker.setAttribute('role', 'button');
+  marker.setAttribute('aria-label', name);
+  if (!marker.hasAttribute('tabindex')) {
+    marker.setAttribute('tabindex', '-1');
+  }
+}
+
 function getMarkerClass(animation) {
   return animation === 'none' ? 'marker-group static' : 'marker-group animated';
 }
 
-function getGlowFill(colour, markerId) {
-  const gradientId = `glow-gradient-${sanitizeId(markerId)}`;
-  return `url(#${gradientId})`;
+function getGlowFill(svg, colour) {
+  return `url(#${getGlowGradientId(svg, colour)})`;
+}
+
+// Scoped by the SVG's ID so maps on the same page don't share gradients
+function getGlowGradientId(svg, colour) {
+  const scope = svg && svg.id ? sanitizeId(svg.id) : 'map';
+  return `${scope}-glow-${sanitizeId(colour.replace(/^#/, ''))}`;
+}
+
+function findGlowGradient(svg, colour) {
+  return svg.querySelector(`radialGradient[id="${getGlowGradientId(svg, colour)}"]`);
+}
+
+// Switch the glow gradient a marker uses; a null colour stops using one
+function setMarkerGlow(marker, svg, colour) {
+  const current = markerGlows.get(marker);
+  if (current && current.svg === svg && current.colour === colour) {
+    return;
+  }
+
+  if (current) {
+    releaseGlowGradient(current.svg, current.colour);
+    markerGlows.delete(marker);
+  }
+
+  if (svg && colour) {
+    acquireGlowGradient(svg, colour);
+    markerGlows.set(marker, {svg, colour});
+  }
+}
+
+function acquireGlowGradient(svg, colour) {
+  let counts = glowGradientCounts.get(svg);
+  if (!counts) {
+    counts = new Map();
+    glowGradientCounts.set(svg, counts);
+  }
+
+  const count = counts.get(colour) || 0;
+  if (count === 0) {
+    createGlowGradient(svg, colour);
+  }
+  counts.set(colour, count + 1);
+}
+
+function releaseGlowGradient(svg, colour) {
+  const counts = glowGradientCounts.get(svg);
+  const count = counts ? counts.get(colour) || 0 : 0;
+
+  if (count > 1) {
+    counts.set(colour, count - 1);
+    return;
+  }
+
+  if (counts) {
+    counts.delete(colour);
+  }
+
+  const gradient = findGlowGradient(svg, colour);
+  if (gradient) {
+    gradient.remove();
+  }
 }
 
 function sanitizeId(id) {
@@ -284,27 +1269,22 @@ function sanitizeGroupLabel(label) {
   return label.replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
-function createGlowGradient(colour, markerId) {
-  const gradientId = `glow-gradient-${sanitizeId(markerId)}`;
-
+function createGlowGradient(svg, colour) {
   // Check if gradient already exists
-  if (document.getElementById(gradientId)) {
+  if (findGlowGradient(svg, colour)) {
     return;
   }
 
-  // Find or create defs section
-  let defs = document.querySelector('svg defs');
+  // Find or create the map's defs section
+  let defs = svg.querySelector('defs');
   if (!defs) {
-    const svg = document.querySelector('svg');
-    if (!svg) return;
-
     defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
     svg.insertBefore(defs, svg.firstChild);
   }
 
   // Create radial gradient
   const gradient = document.createElementNS('http://www.w3.org/2000/svg', 'radialGradient');
-  gradient.setAttribute('id', gradientId);
+  gradient.setAttribute('id', getGlowGradientId(svg, colour));
   gradient.setAttribute('cx', '50%');
   gradient.setAttribute('cy', '50%');
   gradient.setAttribute('r', '50%');
@@ -329,44 +1309,76 @@ function createGlowGradient(colour, markerId) {
   defs.appendChild(gradient);
 }
 
-function addPulseAnimation(circle, radius) {
+function addPulseAnimation(element, radius, shape = 'circle') {
   const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
-  animate.setAttribute('attributeName', 'r');
-  animate.setAttribute('values', getPulseValues(radius));
+  const isPath = element.tagName.toLowerCase() === 'path';
+
+  // Paths pulse by animating their outline between two sizes
+  animate.setAttribute('attributeName', isPath ? 'd' : 'r');
   animate.setAttribute('dur', MARKER_CONFIG.animationDuration);
   animate.setAttribute('repeatCount', '2');
-  circle.appendChild(animate);
+  element.appendChild(animate);
+
+  updatePulseAnimation(animate, radius, shape);
 }
 
-function addFadeAnimation(circle) {
+function addFadeAnimation(element) {
   const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
   animate.setAttribute('attributeName', 'opacity');
   animate.setAttribute('values', getFadeValues());
   animate.setAttribute('dur', MARKER_CONFIG.animationDuration);
   animate.setAttribute('repeatCount', 'indefinite');
-  circle.appendChild(animate);
+  element.appendChild(animate);
 }
 
-function updatePulseAnimation(animateElement, newRadius) {
-  animateElement.setAttribute('values', getPulseValues(newRadius));
+function updatePulseAnimation(animateElement, newRadius, shape = 'circle') {
+  if (animateElement.getAttribute('attributeName') !== 'd') {
+    animateElement.setAttribute('values', getPulseValues(newRadius));
+    return;
+  }
+
+  const path = animateElement.parentNode;
+  const x = parseFloat(path.getAttribute('data-x'));
+  const y = parseFloat(path.getAttribute('data-y'));
+  animateElement.setAttribute('values', getPulseValues(newRadius)
+    .split(';')
+    .map(radius => getShapePath(shape, x, y, parseFloat(radius)))
+    .join(';'));
 }
 
-function updateMarkerAnimation(marker, circle, newAnimation, radius) {
+function updateMarkerAnimation(marker, shapeElement, requestedAnimation, radius) {
+  const newAnimation = getEffectiveAnimation(requestedAnimation);
+
   // Remove existing animations
-  const animations = circle.querySelectorAll('animate');
+  const animations = shapeElement.querySelectorAll('animate');
   animations.forEach(anim => anim.remove());
 
-  // Update marker class
-  marker.setAttribute('class', getMarkerClass(newAnimation));
+  // Update marker class, keeping any others such as labels-hover
+  marker.classList.remove('static', 'animated');
+  marker.classList.add(...getMarkerClass(newAnimation).split(' '));
 
   // Add new animation
   if (newAnimation === 'pulse') {
-    addPulseAnimation(circle, radius);
+    addPulseAnimation(shapeElement, radius, getMarkerShape(marker));
   } else if (newAnimation === 'fade') {
-    addFadeAnimation(circle);
+    addFadeAnimation(shapeElement);
   }
 }
 
+function applyMarkerScale(marker) {
+  const scale = marker.dataset.markerScale;
+  const geometry = getMarkerGeometry(marker);
+
+  if (!scale || !geometry) {
+    marker.removeAttribute('transform');
+    return;
+  }
+
+  const cx = geometry.x;
+  const cy = geometry.y;
+  marker.setAttribute('transform', `translate(${cx} ${cy}) scale(${scale}) translate(${-cx} ${-cy})`);
+}
+
 function getPulseValues(radius) {
   const maxRadius = radius + MARKER_CONFIG.pulseSizeDelta;
   return `${radius};${maxRadius};${radius}`;
@@ -0,0 +1,256 @@
+/**
+ * Payload schemas for FlyMapEx real-time map channels.
+ *
+ * Every event the hook receives is checked against its schema before it
+ * touches client state. A schema maps payload fields to specs:
+ *
+ * - `type` - 'string', 'number', 'boolean', 'object', 'array', a named type
+ *   from PAYLOAD_TYPES, or a list of alternatives
+ * - `required` - The field must be present (null counts as missing)
+ * - `items` - Type of each element of an array
+ * - `values` - Allowed values
+ *
+ * Fields not in a schema are allowed, so servers can send extra data.
+ */
+
+import { markerToLatLng } from './map_coordinates.js';
+import { getStableMarkerId } from './map_markers.js';
+
+const TRANSITION = {type: ['object', 'boolean']};
+
+/**
+ * Named types used in channel schemas.
+ *
+ * Each is a field schema for an object, or a function returning whether a
+ * value is valid.
+ */
+export const PAYLOAD_TYPES = {
+  // Any node format markerToLatLng accepts, with coordinates in range and
+  // region codes that are registered, that also yields a marker ID. An
+  // explicit id and a label must be strings or numbers.
+  marker: (value) => {
+    if (markerToLatLng(value) === null) return false;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (value.id !== undefined && !isKeyValue(value.id)) return false;
+      if (value.label !== undefined && value.label !== null && !isKeyValue(value.label)) return false;
+    }
+
+    return getStableMarkerId(value) !== '';
+  },
+
+  marker_group: {
+    id: {type: 'string'},
+    nodes: {type: 'array', items: 'marker'},
+    markers: {type: 'array', items: 'marker'},
+    style: {type: 'object'}
+  },
+
+  // A rendered marker by group and stable marker ID, or anything that
+  // resolves to coordinates
+  arc_endpoint: (value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.marker_id !== undefined) {
+      return typeof value.group_id === 'string' && typeof value.marker_id === 'string';
+    }
+    return markerToLatLng(value) !== null;
+  },
+
+  arc: {
+    id: {type: ['string', 'number'], required: true},
+    from: {type: 'arc_endpoint', required: true},
+    to: {type: 'arc_endpoint', required: true},
+    style: {type: 'object'}
+  },
+
+  arc_changes: {
+    id: {type: ['string', 'number'], required: true},
+    from: {type: 'arc_endpoint'},
+    to: {type: 'arc_endpoint'},
+    style: {type: 'object'}
+  },
+
+  batch_operation: (value, path, errors) => {
+    const schema = value && typeof value === 'object' ? BATCH_OPERATION_SCHEMAS[value.op] : null;
+    if (!schema) {
+      errors.push(`${path}.op: must be one of ${Object.keys(BATCH_OPERATION_SCHEMAS).join(', ')}`);
+      return true;
+    }
+    validateFields(value, schema, path, errors);
+    return true;
+  }
+};
+
+/**
+ * Payload schema for each channel event.
+ */
+export const CHANNEL_SCHEMAS = {
+  marker_state: {
+    marker_groups: {type: 'array', required: true, items: 'marker_group'},
+    theme: {type: 'object'},
+    config: {type: 'object'},
+    arcs: {type: 'array', items: 'arc'},
+    transition: TRANSITION
+  },
+  marker_update: {
+    group_id: {type: 'string', required: true},
+    markers: {type: 'array', required: true, items: 'marker'},
+    transition: TRANSITION
+  },
+  marker_add: {
+    group_id: {type: 'string', required: true},
+    marker: {type: 'marker', required: true}
+  },
+  marker_remove: {
+    group_id: {type: 'string', required: true},
+    marker_id: {type: 'string', required: true}
+  },
+  marker_batch: {
+    operations: {type: 'array', required: true, items: 'batch_operation'},
+    transition: TRANSITION
+  },
+  theme_change: {
+    theme: {type: 'object', required: true}
+  },
+  group_toggle: {
+    group_id: {type: 'string', required: true},
+    visible: {type: 'boolean', required: true}
+  },
+  arc_add: {
+    arc: {type: 'arc', required: true}
+  },
+  arc_update: {
+    arc: {type: 'arc_changes', required: true}
+  },
+  arc_remove: {
+    arc_id: {type: ['string', 'number'], required: true}
+  },
+  regions_update: {
+    regions: {type: 'object'},
+    removed: {type: 'array', items: 'string'},
+    replace: {type: 'boolean'}
+  }
+};
+
+// Operations in a marker_batch are checked like the matching event
+const BATCH_OPERATION_SCHEMAS = {
+  update: CHANNEL_SCHEMAS.marker_update,
+  add: CHANNEL_SCHEMAS.marker_add,
+  remove: CHANNEL_SCHEMAS.marker_remove
+};
+
+/**
+ * Check a channel event payload against its schema.
+ *
+ * @param {string} event - Channel event name
+ * @param {*} payload - Event payload
+ * @param {Object} schemas - Schemas by event (default CHANNEL_SCHEMAS)
+ * @returns {Array<string>} Problems found, each prefixed with the field
+ *   path; empty if the payload is valid
+ *
+ * @example
+ * validatePayload('marker_add', {group_id: 'web', marker: {lat: 0, lng: 0}}) // => []
+ * validatePayload('group_toggle', {group_id: 'web', visible: 'yes'})
+ * // => ['visible: must be a boolean']
+ */
+export function validatePayload(event, payload, schemas = CHANNEL_SCHEMAS) {
+  const schema = schemas[event];
+  if (!schema) {
+    return [`${event}: unknown event`];
+  }
+
+  if (!isPlainObject(payload)) {
+    return ['payload: must be an object'];
+  }
+
+  const errors = [];
+  validateFields(payload, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Check whether a value is a valid marker node.
+ *
+ * @param {*} marker - Region code, coordinate tuple or node object
+ * @returns {boolean} True if the marker resolves to coordinates
+ *
+ * @example
+ * isValidMarker({lat: 0, lng: 0}) // => true
+ * isValidMarker('not-a-region') // => false
+ */
+export function isValidMarker(marker) {
+  return PAYLOAD_TYPES.marker(marker);
+}
+
+// Helper functions
+
+function validateFields(object, schema, path, errors) {
+  Object.entries(schema).forEach(([field, spec]) => {
+    const fieldPath = path ? `${path}.${field}` : field;
+    const value = object[field];
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        errors.push(`${fieldPath}: is required`);
+      }
+      return;
+    }
+
+    validateValue(value, spec, fieldPath, errors);
+  });
+}
+
+function validateValue(value, spec, path, errors) {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+
+  if (!types.some(type => matchesType(value, type, path, errors))) {
+    errors.push(`${path}: must be ${types.map(describeType).join(' or ')}`);
+    return;
+  }
+
+  if (spec.values && !spec.values.includes(value)) {
+    errors.push(`${path}: must be one of ${spec.values.join(', ')}`);
+  }
+
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      validateValue(item, {type: spec.items}, `${path}[${index}]`, errors);
+    });
+  }
+}
+
+function matchesType(value, type, path, errors) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+  }
+
+  const named = PAYLOAD_TYPES[type];
+  if (typeof named === 'function') {
+    return named(value, path, errors);
+  }
+
+  if (named && isPlainObject(value)) {
+    validateFields(value, named, path, errors);
+    return true;
+  }
+
+  return false;
+}
+
+function describeType(type) {
+  if (PAYLOAD_TYPES[type]) {
+    return `a valid ${type.replace(/_/g, ' ')}`;
+  }
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function isKeyValue(value) {
+  return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
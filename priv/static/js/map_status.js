@@ -0,0 +1,113 @@
+/**
+ * Connection status badge for FlyMapEx real-time maps.
+ *
+ * A small pill in the corner of the map showing whether it is receiving
+ * live updates, reconnecting, showing stale markers or rendered by the
+ * server. The hook announces the same transitions to screen readers, so
+ * the badge itself is hidden from them.
+ */
+
+/**
+ * Default status badge configuration.
+ *
+ * Statuses are those reported by the hook's `map_status` events.
+ */
+export const STATUS_CONFIG = {
+  className: 'fly-map-status-badge',
+  position: 'top-right',
+  labels: {
+    connecting: 'Connecting',
+    live: 'Live',
+    reconnecting: 'Reconnecting',
+    stale: 'Stale',
+    fallback: 'Server rendered'
+  },
+  colours: {
+    connecting: '#6b7280',
+    live: '#10b981',
+    reconnecting: '#f59e0b',
+    stale: '#f59e0b',
+    fallback: '#6b7280'
+  }
+};
+
+/**
+ * Create a status badge over a map.
+ *
+ * @param {HTMLElement} container - Element the badge is placed in, usually
+ *   the map SVG's parent
+ * @param {Object} options - Badge options
+ * @param {string} options.id - Badge element ID
+ * @param {string} options.position - 'top-right' (default), 'top-left',
+ *   'bottom-right' or 'bottom-left'
+ * @param {Object} options.labels - Label overrides by status
+ * @returns {Object} Badge controller {update, destroy}
+ *
+ * @example
+ * const badge = createStatusBadge(svg.parentNode, {labels: {live: 'Streaming'}});
+ * badge.update('reconnecting');
+ */
+export function createStatusBadge(container, options = {}) {
+  const labels = {...STATUS_CONFIG.labels, ...(options.labels || {})};
+  const [vertical, horizontal] = (options.position || STATUS_CONFIG.position).split('-');
+  let restorePosition = null;
+
+  // The badge is positioned within the container
+  if (window.getComputedStyle(container).position === 'static') {
+    const previous = container.style.position;
+    container.style.position = 'relative';
+    restorePosition = () => {
+      container.style.position = previous;
+    };
+  }
+
+  const element = document.createElement('div');
+  if (options.id) {
+    element.id = options.id;
+  }
+  element.className = STATUS_CONFIG.className;
+  element.setAttribute('aria-hidden', 'true');
+  Object.assign(element.style, {
+    position: 'absolute',
+    [vertical === 'bottom' ? 'bottom' : 'top']: '8px',
+    [horizontal === 'left' ? 'left' : 'right']: '8px',
+    zIndex: '2',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '2px 8px',
+    borderRadius: '9999px',
+    background: 'rgba(17, 24, 39, 0.8)',
+    color: '#f9fafb',
+    font: '12px/1.4 sans-serif',
+    pointerEvents: 'none'
+  });
+
+  const dot = document.createElement('span');
+  Object.assign(dot.style, {
+    width: '8px',
+    height: '8px',
+    borderRadius: '50%'
+  });
+  const text = document.createElement('span');
+  element.append(dot, text);
+  container.appendChild(element);
+
+  function update(status) {
+    element.dataset.status = status;
+    dot.style.background = STATUS_CONFIG.colours[status] || STATUS_CONFIG.colours.connecting;
+    text.textContent = labels[status] || status;
+  }
+
+  function destroy() {
+    element.remove();
+    if (restorePosition) {
+      restorePosition();
+    }
+  }
+
+  return {
+    update,
+    destroy
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Marker tooltips for FlyMapEx real-time maps.
+ *
+ * Shows a small floating panel next to the pointer with a marker's label,
+ * region, group and any metadata carried by its node. The panel is plain
+ * HTML positioned over the page, so it isn't clipped by the map's SVG.
+ */
+
+/**
+ * Default tooltip configuration.
+ */
+export const TOOLTIP_CONFIG = {
+  offset: 12,
+  maxMetadataEntries: 8,
+  className: 'fly-map-tooltip'
+};
+
+/**
+ * Build the rows shown in a marker tooltip.
+ *
+ * @param {Object} info - Marker information
+ * @param {string} info.label - Marker label
+ * @param {string} info.region - Region code
+ * @param {string} info.region_name - Region display name
+ * @param {string} info.group_label - Marker group label
+ * @param {number} info.lat - Latitude, shown when there is no region
+ * @param {number} info.lng - Longitude, shown when there is no region
+ * @param {Object} info.metadata - Additional key/value pairs
+ * @returns {Object} {title, rows} where rows are [{name, value}, ...]
+ *
+ * @example
+ * getTooltipContent({label: 'web-1', region: 'fra', region_name: 'Frankfurt', group_label: 'Production'})
+ * // => {title: 'web-1', rows: [{name: 'Region', value: 'Frankfurt (fra)'}, {name: 'Group', value: 'Production'}]}
+ */
+export function getTooltipContent(info) {
+  const rows = [];
+
+  if (info.region) {
+    const name = info.region_name && info.region_name !== info.region
+      ? `${info.region_name} (${info.region})`
+      : info.region;
+    rows.push({name: 'Region', value: name});
+  } else if (typeof info.lat === 'number' && typeof info.lng === 'number') {
+    rows.push({name: 'Location', value: `${info.lat.toFixed(2)}, ${info.lng.toFixed(2)}`});
+  }
+
+  if (info.group_label) {
+    rows.push({name: 'Group', value: info.group_label});
+  }
+
+  if (info.metadata && typeof info.metadata === 'object') {
+    Object.entries(info.metadata)
+      .slice(0, TOOLTIP_CONFIG.maxMetadataEntries)
+      .forEach(([name, value]) => {
+        rows.push({name, value: typeof value === 'object' ? JSON.stringify(value) : String(value)});
+      });
+  }
+
+  return {
+    title: info.label || info.region_name || info.region || null,
+    rows
+  };
+}
+
+/**
+ * Create a tooltip controller.
+ *
+ * The tooltip element is created on first show and removed by destroy().
+ * Content is always set as text, so metadata can't inject markup.
+ *
+ * @param {Object} options - Tooltip options
+ * @param {string} options.id - Tooltip element ID
+ * @param {number} options.offset - Distance from the pointer in pixels
+ * @returns {Object} Tooltip controller {show, move, hide, destroy}
+ *
+ * @example
+ * const tooltip = createTooltip({id: 'world-map-tooltip'});
+ * tooltip.show({label: 'web-1', region: 'fra'}, event.clientX, event.clientY);
+ * tooltip.hide();
+ */
+export function createTooltip(options = {}) {
+  const offset = options.offset !== undefined ? options.offset : TOOLTIP_CONFIG.offset;
+  let element = null;
+
+  function ensureElement() {
+    if (element) return element;
+
+    element = document.createElement('div');
+    if (options.id) {
+      element.id = options.id;
+    }
+    element.className = TOOLTIP_CONFIG.className;
+    element.setAttribute('role', 'tooltip');
+    Object.assign(element.style, {
+      position: 'fixed',
+      zIndex: '1000',
+      pointerEvents: 'none',
+      padding: '6px 8px',
+      borderRadius: '4px',
+      background: 'rgba(17, 24, 39, 0.92)',
+      color: '#f9fafb',
+      font: '12px/1.4 sans-serif',
+      maxWidth: '240px',
+      display: 'none'
+    });
+    document.body.appendChild(element);
+    return element;
+  }
+
+  function show(info, clientX, clientY) {
+    const tooltip = ensureElement();
+    const {title, rows} = getTooltipContent(info);
+
+    tooltip.replaceChildren();
+
+    if (title) {
+      const heading = document.createElement('div');
+      heading.style.fontWeight = 'bold';
+      heading.textContent = title;
+      tooltip.appendChild(heading);
+    }
+
+    rows.forEach(({name, value}) => {
+      const row = document.createElement('div');
+      const key = document.createElement('span');
+      key.style.opacity = '0.7';
+      key.textContent = `${name}: `;
+      row.appendChild(key);
+      row.appendChild(document.createTextNode(value));
+      tooltip.appendChild(row);
+    });
+
+    tooltip.style.display = '';
+    move(clientX, clientY);
+  }
+
+  function move(clientX, clientY) {
+    if (!element || element.style.display === 'none') return;
+
+    // Flip to the other side of the pointer near the viewport edges
+    const rect = element.getBoundingClientRect();
+    const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+    const left = clientX + offset + rect.width > viewportWidth
+      ? clientX - offset - rect.width
+      : clientX + offset;
+    const top = clientY + offset + rect.height > viewportHeight
+      ? clientY - offset - rect.height
+      : clientY + offset;
+
+    element.style.left = `${Math.max(0, left)}px`;
+    element.style.top = `${Math.max(0, top)}px`;
+  }
+
+  function hide() {
+    if (element) {
+      element.style.display = 'none';
+    }
+  }
+
+  function destroy() {
+    if (element) {
+      element.remove();
+      element = null;
+    }
+  }
+
+  return {
+    show,
+    move,
+    hide,
+    destroy
+  };
+}
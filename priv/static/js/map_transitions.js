@@ -0,0 +1,283 @@
+/**
+ * Animated marker transitions for FlyMapEx real-time maps.
+ *
+ * Tweens marker position, radius and colour between updates so moving
+ * entities (migrating machines, tracked devices) glide to their new place
+ * instead of jumping. Positions follow the great circle between the old and
+ * new location, projected onto the map like connection arcs.
+ */
+
+import { svgToWgs84, wgs84ToSvg, MAP_BBOX, DEFAULT_PROJECTION } from './map_coordinates.js';
+import { updateMarker, getMarkerGeometry, getMarkerElement } from './map_markers.js';
+import { interpolateGreatCircle } from './map_arcs.js';
+import { prefersReducedMotion } from './map_accessibility.js';
+
+/**
+ * Default transition configuration.
+ *
+ * Durations are in milliseconds.
+ */
+export const TRANSITION_CONFIG = {
+  duration: 600,
+  easing: 'ease-in-out',
+  path: 'great-circle'
+};
+
+/**
+ * Easing functions by name, mapping progress (0 to 1) to eased progress.
+ */
+export const EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t * t,
+  'ease-out': t => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Running transitions by marker element, as maps on a page can share marker IDs
+const activeTransitions = new Map();
+
+/**
+ * Update a marker with an animated transition.
+ *
+ * Takes the same updates as updateMarker(). Position, radius (style.size)
+ * and colour (style.colour) are tweened from the marker's current values;
+ * everything else, such as labels and other style properties, is applied
+ * immediately. Glowing markers change
+ * colour at the start of the transition rather than fading, as their fill
+ * is a gradient.
+ *
+ * A transition already running on the marker is cancelled and the new one
+ * starts from wherever the marker currently is. When reduced motion is
+ * preferred, or the duration is 0, the update is applied immediately.
+ *
+ * @param {string} markerId - ID of marker to update
+ * @param {Object} updates - Updates to apply, as for updateMarker()
+ * @param {Object} options - Transition options
+ * @param {number} options.duration - Duration in milliseconds
+ * @param {string|Function} options.easing - Easing name from EASINGS or function
+ * @param {string} options.path - 'great-circle' or 'linear' position path
+ * @param {Object} options.bbox - Bounding box (optional, uses MAP_BBOX if not provided)
+ * @param {string|Object} options.projection - Projection name or object (optional)
+ * @param {Object} options.context - Marker context (optional, uses the document if not provided)
+ * @param {Function} options.onFrame - Called after each frame moves the
+ *   marker, e.g. to redraw what's attached to it
+ * @param {Function} options.onComplete - Called with true when the transition
+ *   finishes, or false if it was cancelled
+ * @returns {boolean} True if marker was found
+ *
+ * @example
+ * transitionMarker('fly-region-map:production:web-1', {x: 420, y: 90, style: {colour: '#ef4444'}}, {
+ *   duration: 1000,
+ *   easing: 'ease-out'
+ * });
+ */
+export function transitionMarker(markerId, updates, options = {}) {
+  const context = options.context;
+  const marker = getMarkerElement(markerId, context);
+  const geometry = getMarkerGeometry(marker);
+  if (!geometry) {
+    return false;
+  }
+
+  cancelMarkerTransition(markerId, context);
+
+  const duration = options.duration !== undefined ? options.duration : TRANSITION_CONFIG.duration;
+  const onComplete = options.onComplete || (() => {});
+  const onFrame = options.onFrame || (() => {});
+
+  if (duration <= 0 || prefersReducedMotion() || typeof requestAnimationFrame !== 'function') {
+    updateMarker(markerId, updates, context);
+    onComplete(true);
+    return true;
+  }
+
+  const style = updates.style || {};
+  const from = {
+    x: geometry.x,
+    y: geometry.y,
+    r: geometry.size,
+    colour: parseColour(geometry.colour)
+  };
+  const to = {
+    x: updates.x !== undefined ? updates.x : from.x,
+    y: updates.y !== undefined ? updates.y : from.y,
+    r: style.size !== undefined ? style.size : from.r,
+    colour: style.glow ? null : parseColour(style.colour)
+  };
+  const tweenColour = !!(from.colour && to.colour);
+
+  // Apply what can't be tweened straight away, keeping the current radius
+  const immediateStyle = {...style};
+  if (style.size !== undefined) {
+    immediateStyle.size = from.r;
+  }
+  if (tweenColour) {
+    delete immediateStyle.colour;
+  }
+
+  const immediate = {...updates, style: immediateStyle};
+  delete immediate.x;
+  delete immediate.y;
+  updateMarker(markerId, immediate, context);
+
+  const easing = getEasing(options.easing);
+  const position = getPositionInterpolator(from, to, options);
+  const start = performanceNow();
+  const transition = {frame: null, onComplete};
+
+  const step = (now) => {
+    const progress = Math.min(1, Math.max(0, (now - start) / duration));
+    const t = easing(progress);
+    const frameUpdates = position(t);
+    const frameStyle = {};
+
+    if (style.size !== undefined) {
+      frameStyle.size = from.r + (to.r - from.r) * t;
+    }
+    if (tweenColour) {
+      frameStyle.colour = progress < 1 ? interpolateColour(from.colour, to.colour, t) : style.colour;
+    }
+    if (Object.keys(frameStyle).length > 0) {
+      frameUpdates.style = frameStyle;
+    }
+
+    // A marker removed mid-transition may have been replaced under the same ID
+    if (!marker.isConnected || !updateMarker(markerId, frameUpdates, context)) {
+      activeTransitions.delete(marker);
+      onComplete(progress >= 1);
+      return;
+    }
+
+    onFrame();
+
+    if (progress >= 1) {
+      activeTransitions.delete(marker);
+      onComplete(true);
+      return;
+    }
+
+    transition.frame = requestAnimationFrame(step);
+  };
+
+  transition.frame = requestAnimationFrame(step);
+  activeTransitions.set(marker, transition);
+
+  return true;
+}
+
+/**
+ * Stop a running marker transition, leaving the marker where it is.
+ *
+ * @param {string} markerId - ID of marker
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
+ * @returns {boolean} True if a transition was running
+ */
+export function cancelMarkerTransition(markerId, context) {
+  const marker = getMarkerElement(markerId, context);
+  const transition = marker && activeTransitions.get(marker);
+  if (!transition) {
+    return false;
+  }
+
+  cancelAnimationFrame(transition.frame);
+  activeTransitions.delete(marker);
+  transition.onComplete(false);
+  return true;
+}
+
+/**
+ * Check whether a marker has a transition running.
+ *
+ * @param {string} markerId - ID of marker
+ * @param {Object} context - Marker context (optional, uses the document if not provided)
+ * @returns {boolean} True if a transition is running
+ */
+export function isMarkerTransitioning(markerId, context) {
+  const marker = getMarkerElement(markerId, context);
+  return !!marker && activeTransitions.has(marker);
+}
+
+/**
+ * Interpolate between two colours.
+ *
+ * @param {Array} from - Start colour [r, g, b]
+ * @param {Array} to - End colour [r, g, b]
+ * @param {number} t - Fraction of the way from start to end (0 to 1)
+ * @returns {string} Hex colour
+ *
+ * @example
+ * interpolateColour([0, 0, 0], [255, 255, 255], 0.5) // => "#808080"
+ */
+export function interpolateColour(from, to, t) {
+  return '#' + from
+    .map((channel, index) => Math.round(channel + (to[index] - channel) * t))
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Helper functions
+
+function getEasing(easing) {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+  return EASINGS[easing] || EASINGS[TRANSITION_CONFIG.easing];
+}
+
+function getPositionInterpolator(from, to, options) {
+  const linear = t => ({
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t
+  });
+
+  if (from.x === to.x && from.y === to.y) {
+    return () => ({});
+  }
+
+  if ((options.path || TRANSITION_CONFIG.path) !== 'great-circle') {
+    return linear;
+  }
+
+  const bbox = options.bbox || MAP_BBOX;
+  const projection = options.projection || DEFAULT_PROJECTION;
+  const start = svgToWgs84(from.x, from.y, bbox, projection);
+  const end = svgToWgs84(to.x, to.y, bbox, projection);
+
+  // Fall back to a straight line for points off the projected map
+  if (!start || !end) {
+    return linear;
+  }
+
+  return t => {
+    if (t >= 1) {
+      return {x: to.x, y: to.y};
+    }
+    const {lat, lng} = interpolateGreatCircle(start, end, t);
+    return wgs84ToSvg(lat, lng, bbox, projection);
+  };
+}
+
+function parseColour(colour) {
+  if (typeof colour !== 'string') {
+    return null;
+  }
+
+  const hex = colour.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3
+      ? hex[1].split('').map(digit => digit + digit)
+      : hex[1].match(/../g);
+    return digits.map(pair => parseInt(pair, 16));
+  }
+
+  const rgb = colour.trim().match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgb) {
+    return rgb.slice(1, 4).map(Number);
+  }
+
+  return null;
+}
+
+function performanceNow() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,298 @@
+/**
+ * Pan and zoom viewport controller for FlyMapEx real-time maps.
+ *
+ * Zooms and pans the map by rewriting the SVG viewBox, so the world paths
+ * rendered by the Elixir WorldMap component and client-rendered markers
+ * share the same coordinate space at every zoom level.
+ */
+
+import { MAP_BBOX } from './map_coordinates.js';
+
+/**
+ * Default viewport configuration.
+ */
+export const VIEWPORT_CONFIG = {
+  minZoom: 1,
+  maxZoom: 20,
+  wheelSensitivity: 0.002,
+  dragThreshold: 3,
+  fitPadding: 0.1
+};
+
+/**
+ * Create a viewport controller for an SVG map.
+ *
+ * Handles wheel zoom, drag pan and two-finger pinch zoom on the SVG and
+ * exposes methods for programmatic zooming. The view is always kept within
+ * the map bounding box and at the bounding box's aspect ratio.
+ *
+ * The wheel only zooms while Ctrl or Cmd is held (trackpad pinches arrive
+ * this way too), so plain wheel events still scroll the page. Set
+ * options.wheelZoom to zoom on every wheel event instead.
+ *
+ * @param {SVGElement} svg - Map SVG element
+ * @param {Object} options - Controller options
+ * @param {Object} options.bbox - Full map bounding box (defaults to MAP_BBOX)
+ * @param {number} options.minZoom - Minimum zoom level (1 = whole map)
+ * @param {number} options.maxZoom - Maximum zoom level
+ * @param {boolean} options.wheelZoom - Zoom on the wheel without Ctrl or Cmd held
+ * @param {Function} options.onChange - Called with the viewport after each change
+ * @returns {Object} Viewport controller
+ *
+ * @example
+ * const viewport = createViewportController(svg, {
+ *   maxZoom: 10,
+ *   onChange: ({zoom}) => console.log('zoom', zoom)
+ * });
+ * viewport.fitBounds([{x: 400, y: 80}, {x: 440, y: 100}]);
+ */
+export function createViewportController(svg, options = {}) {
+  const bbox = options.bbox || MAP_BBOX;
+  const minZoom = options.minZoom || VIEWPORT_CONFIG.minZoom;
+  const maxZoom = options.maxZoom || VIEWPORT_CONFIG.maxZoom;
+  const wheelZoom = options.wheelZoom === true;
+  const onChange = options.onChange || (() => {});
+
+  const fullWidth = bbox.maxX - bbox.minX;
+  const fullHeight = bbox.maxY - bbox.minY;
+
+  let view = {x: bbox.minX, y: bbox.minY, width: fullWidth, height: fullHeight};
+
+  // Active pointers for drag and pinch gestures, keyed by pointerId
+  const pointers = new Map();
+  let gesture = null;
+  let suppressClick = false;
+
+  function getViewport() {
+    return {
+      x: view.x,
+      y: view.y,
+      width: view.width,
+      height: view.height,
+      zoom: fullWidth / view.width
+    };
+  }
+
+  function setView(next) {
+    const zoom = clamp(fullWidth / next.width, minZoom, maxZoom);
+    const width = fullWidth / zoom;
+    const height = fullHeight / zoom;
+
+    // Keep the visible area inside the map
+    view = {
+      x: clamp(next.x, bbox.minX, bbox.maxX - width),
+      y: clamp(next.y, bbox.minY, bbox.maxY - height),
+      width,
+      height
+    };
+
+    svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+    onChange(getViewport());
+  }
+
+  /**
+   * Zoom by a factor, keeping the given SVG point fixed on screen.
+   */
+  function zoomAt(factor, cx, cy) {
+    const zoom = clamp((fullWidth / view.width) * factor, minZoom, maxZoom);
+    const width = fullWidth / zoom;
+    const height = fullHeight / zoom;
+    const ratio = width / view.width;
+
+    setView({
+      x: cx - (cx - view.x) * ratio,
+      y: cy - (cy - view.y) * ratio,
+      width,
+      height
+    });
+  }
+
+  /**
+   * Set an absolute zoom level centred on an SVG point.
+   */
+  function zoomTo(zoom, cx, cy) {
+    const width = fullWidth / clamp(zoom, minZoom, maxZoom);
+    const height = width * fullHeight / fullWidth;
+
+    setView({x: cx - width / 2, y: cy - height / 2, width, height});
+  }
+
+  /**
+   * Pan by an offset in SVG units.
+   */
+  function panBy(dx, dy) {
+    setView({...view, x: view.x + dx, y: view.y + dy});
+  }
+
+  /**
+   * Zoom and pan so all given SVG points are visible.
+   *
+   * @param {Array} points - SVG points [{x, y}, ...]
+   * @param {number} padding - Padding as a fraction of the fitted size
+   * @returns {boolean} True if there were points to fit
+   */
+  function fitBounds(points, padding = VIEWPORT_CONFIG.fitPadding) {
+    if (!points || points.length === 0) {
+      return false;
+    }
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    // Grow the box to the map's aspect ratio before padding
+    const width = Math.max(maxX - minX, (maxY - minY) * fullWidth / fullHeight);
+    const paddedWidth = width * (1 + 2 * padding);
+
+    zoomTo(fullWidth / Math.max(paddedWidth, Number.EPSILON), (minX + maxX) / 2, (minY + maxY) / 2);
+    return true;
+  }
+
+  function reset() {
+    setView({x: bbox.minX, y: bbox.minY, width: fullWidth, height: fullHeight});
+  }
+
+  // SVG units per screen pixel under the default xMidYMid meet scaling
+  function unitsPerPixel() {
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+      return 1;
+    }
+    return Math.max(view.width / rect.width, view.height / rect.height);
+  }
+
+  function toSvgPoint(clientX, clientY) {
+    const ctm = svg.getScreenCTM();
+    if (!ctm) {
+      return {x: view.x + view.width / 2, y: view.y + view.height / 2};
+    }
+
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(ctm.inverse());
+  }
+
+  function onWheel(event) {
+    if (!wheelZoom && !event.ctrlKey && !event.metaKey) {
+      return;
+    }
+
+    event.preventDefault();
+    const factor = Math.exp(-event.deltaY * VIEWPORT_CONFIG.wheelSensitivity);
+    const center = toSvgPoint(event.clientX, event.clientY);
+    zoomAt(factor, center.x, center.y);
+  }
+
+  function onPointerDown(event) {
+    // A drag that ended outside the map never got its click
+    if (pointers.size === 0) {
+      suppressClick = false;
+    }
+
+    pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+
+    if (pointers.size === 1) {
+      gesture = {type: 'pan', startX: event.clientX, startY: event.clientY, dragging: false};
+    } else if (pointers.size === 2) {
+      gesture = {type: 'pinch', distance: pointerDistance()};
+    }
+  }
+
+  function onPointerMove(event) {
+    const previous = pointers.get(event.pointerId);
+    if (!previous || !gesture) {
+      return;
+    }
+
+    pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+
+    if (gesture.type === 'pan') {
+      if (!gesture.dragging) {
+        const moved = Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY);
+        if (moved < VIEWPORT_CONFIG.dragThreshold) {
+          return;
+        }
+        gesture.dragging = true;
+        svg.setPointerCapture(event.pointerId);
+      }
+
+      const scale = unitsPerPixel();
+      panBy((previous.x - event.clientX) * scale, (previous.y - event.clientY) * scale);
+    } else if (gesture.type === 'pinch' && pointers.size === 2) {
+      const distance = pointerDistance();
+      const [a, b] = Array.from(pointers.values());
+      const center = toSvgPoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+
+      if (gesture.distance > 0) {
+        zoomAt(distance / gesture.distance, center.x, center.y);
+      }
+      gesture.distance = distance;
+    }
+  }
+
+  function onPointerUp(event) {
+    if (gesture && (gesture.dragging || gesture.type === 'pinch')) {
+      suppressClick = true;
+    }
+
+    pointers.delete(event.pointerId);
+    if (svg.hasPointerCapture && svg.hasPointerCapture(event.pointerId)) {
+      svg.releasePointerCapture(event.pointerId);
+    }
+
+    gesture = pointers.size === 0 ? null : gesture;
+  }
+
+  // Swallow the click that ends a drag or pinch so it isn't treated as a map click
+  function onClickCapture(event) {
+    if (suppressClick) {
+      suppressClick = false;
+      event.stopPropagation();
+      event.preventDefault();
+    }
+  }
+
+  function pointerDistance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  const previousTouchAction = svg.style.touchAction;
+  svg.style.touchAction = 'none';
+  svg.addEventListener('wheel', onWheel, {passive: false});
+  svg.addEventListener('pointerdown', onPointerDown);
+  svg.addEventListener('pointermove', onPointerMove);
+  svg.addEventListener('pointerup', onPointerUp);
+  svg.addEventListener('pointercancel', onPointerUp);
+  svg.addEventListener('click', onClickCapture, true);
+
+  function destroy() {
+    svg.style.touchAction = previousTouchAction;
+    svg.removeEventListener('wheel', onWheel);
+    svg.removeEventListener('pointerdown', onPointerDown);
+    svg.removeEventListener('pointermove', onPointerMove);
+    svg.removeEventListener('pointerup', onPointerUp);
+    svg.removeEventListener('pointercancel', onPointerUp);
+    svg.removeEventListener('click', onClickCapture, true);
+  }
+
+  return {
+    getViewport,
+    zoomAt,
+    zoomTo,
+    panBy,
+    fitBounds,
+    reset,
+    destroy
+  };
+}
+
+// Helper functions
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -7,127 +7,557 @@
  */
 
 import {
-  createMarkersFromGroups,
+  createMarker,
+  describeMarkersFromGroups,
+  indexMarkerIds,
+  addToMarkerIndex,
+  getMarkerElementId,
+  getMarkerGeometry,
   updateMarker,
   removeMarker,
-  toggleMarkerGroup
+  toggleMarkerGroup,
+  setMarkerScale,
+  layoutMarkerLabels,
+  createMarkerContext,
+  destroyMarkerContext,
+  MARKER_CONFIG
 } from './map_markers.js';
+import {
+  loadRegions,
+  unregisterRegion,
+  svgToWgs84,
+  nearestRegion,
+  getRegionName,
+  markerToLatLng,
+  markerToSvg,
+  regionToSvg,
+  isKnownProjection,
+  DEFAULT_PROJECTION
+} from './map_coordinates.js';
+import { createViewportController } from './map_viewport.js';
+import {
+  clusterMarkers,
+  createClusterBadge,
+  createSpider,
+  CLUSTER_CONFIG
+} from './map_clusters.js';
+import { createArc, updateArc, removeArc } from './map_arcs.js';
+import { transitionMarker, cancelMarkerTransition } from './map_transitions.js';
+import {
+  createHeatmapLayer,
+  updateHeatmapLayer,
+  heatmapPoints,
+  isHeatmapGroup
+} from './map_heatmap.js';
+import { createCanvasRenderer, CANVAS_CONFIG } from './map_canvas.js';
+import { createTooltip } from './map_tooltips.js';
+import { createStatusBadge } from './map_status.js';
+import { createLogger } from './map_logger.js';
+import { createDebugOverlay } from './map_debug.js';
+import { validatePayload } from './map_schema.js';
+import {
+  createLiveRegion,
+  findNearestInDirection,
+  onReducedMotionChange
+} from './map_accessibility.js';
+
+/**
+ * Default reconnect policy.
+ *
+ * Each value can be overridden with a data attribute on the hook element,
+ * e.g. `data-reconnect-max-attempts="10"`. Delays are in milliseconds and
+ * jitter is the fraction by which each delay randomly varies, so clients
+ * dropped together don't all reconnect at once.
+ */
+export const RECONNECT_CONFIG = {
+  maxAttempts: 5,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: 0.5,
+  recoveryInterval: 30000
+};
+
+// Events the hook listens for on the map channel
+const CHANNEL_EVENTS = [
+  'marker_state',
+  'marker_update',
+  'marker_add',
+  'marker_remove',
+  'marker_batch',
+  'theme_change',
+  'group_toggle',
+  'arc_add',
+  'arc_update',
+  'arc_remove',
+  'regions_update'
+];
 
 /**
  * Factory function to create a RealTimeMapHook with a provided socket.
  *
+ * Only warnings and errors are logged by default. Debug mode, from the
+ * `debug` option or `data-debug="true"` on the map element, shows an overlay
+ * with the event rate, marker count and last payload, and logs every event
+ * unless a logger is given.
+ *
  * @param {Socket} socket - Phoenix socket instance
+ * @param {Object} options - Hook options
+ * @param {Object|Function|boolean} options.logger - Logger options for
+ *   createLogger ({level, sink, prefix}), a sink function, or false to log
+ *   nothing
+ * @param {boolean} options.debug - Enable debug mode for every map
+ * @param {boolean} options.statusEvents - Push `map_status` to the LiveView
+ *   on every status change, as `data-status-events="true"` does for one map;
+ *   the LiveView then needs a `handle_event("map_status", ...)` clause
  * @returns {Object} Phoenix LiveView hook object
+ *
+ * @example
+ * const hooks = {
+ *   RealTimeMap: createRealTimeMapHook(socket, {
+ *     logger: {level: isDev ? 'debug' : 'error'}
+ *   })
+ * };
  */
-export function createRealTimeMapHook(socket) {
+export function createRealTimeMapHook(socket, options = {}) {
+  const logger = createLogger(options.logger);
+  const debugLogger = options.logger === undefined ? createLogger({level: 'debug'}) : logger;
+
   return {
   mounted() {
-    console.log('RealTimeMapHook: Mounting real-time map');
+    // Get configuration from data attributes
+    this.channelTopic = this.el.dataset.channel || 'map:default';
+    this.mapId = this.el.dataset.mapId || 'fly-region-map';
+    this.debug = options.debug === true || this.el.dataset.debug === 'true';
+    this.logger = this.debug ? debugLogger : logger;
+    this.statusEvents = options.statusEvents === true || this.el.dataset.statusEvents === 'true';
+
+    this.logger.info('Mounting real-time map');
 
     // Check if real-time mode is supported
     if (!this.isRealTimeModeSupported()) {
-      console.log('RealTimeMapHook: Real-time mode not supported, using server rendering');
-      this.fallbackToServerRendering();
+      this.logger.info('Real-time mode not supported, using server rendering');
+      this.fallbackToServerRendering('unsupported');
+      this.dispatchMapEvent('mounted', { map_id: this.mapId });
       return;
     }
 
-    // Get configuration from data attributes
-    this.channelTopic = this.el.dataset.channel || 'map:default';
-    this.mapId = this.el.dataset.mapId || 'fly-region-map';
-
     // Parse initial state
     try {
       this.initialState = JSON.parse(this.el.dataset.initialState || '{}');
     } catch (e) {
-      console.error('RealTimeMapHook: Failed to parse initial state', e);
+      this.logger.error('Failed to parse initial state', e);
       this.initialState = {};
     }
 
+    // Seed the region registry with the app's custom regions
+    loadRegions(this.initialState.regions || {});
+
     // Initialize client state
     this.clientState = {
-      markerGroups: this.initialState.markerGroups || [],
+      markerGroups: this.initialState.marker_groups || [],
       theme: this.initialState.theme || {},
       config: this.initialState.config || {},
+      arcs: this.initialState.arcs || [],
+      version: Number.isInteger(this.initialState.version) ? this.initialState.version : null,
       lastUpdate: Date.now()
     };
 
+    const { projection } = this.clientState.config;
+    if (projection !== undefined && !isKnownProjection(projection)) {
+      this.logger.warn(`Unknown map projection "${projection}", using ${DEFAULT_PROJECTION}`);
+    }
+
+    // Versioned events that arrived ahead of a gap, by version. Past the
+    // limit they're dropped and the next sync asks for a full snapshot.
+    this.pendingEvents = new Map();
+    this.maxPendingEvents = 100;
+    this.syncInFlight = false;
+    this.fullSyncNeeded = false;
+
     // Track markers by ID for efficient updates
     this.activeMarkers = new Map();
 
+    // Marker lookups, gradients and group toggles are scoped to this map's
+    // SVG, so other maps on the page are left alone
+    const svg = document.getElementById(this.mapId);
+    this.markerContext = svg ? createMarkerContext(svg) : undefined;
+
+    // Style each marker was last rendered with, for change detection
+    this.markerStyleKeys = new WeakMap();
+
+    // Node index of each marker ID, by group; dropped when the group's
+    // nodes change other than by an append
+    this.markerIndexes = new WeakMap();
+
+    // Cluster badges by cluster ID, and the expanded cluster's spider
+    this.activeClusters = new Map();
+    this.expandedSpider = null;
+
+    // Density layers for heatmap groups, by group ID
+    this.heatmapLayers = new Map();
+
+    // Canvas for high-volume groups, created when first needed
+    this.canvasRenderer = null;
+
+    // Marker changes waiting for the next frame, and how many were coalesced
+    this.pendingRender = null;
+    this.renderFrame = null;
+    this.batchMetrics = { operations: 0, flushes: 0, merged: 0, batches: 0, lastFlush: null };
+
+    // Channel payloads rejected by schema validation
+    this.validationMetrics = { rejected: 0, byEvent: {}, lastError: null };
+
     // Set up channel
     this.setupChannel();
 
     // Render initial markers
     this.renderInitialMarkers();
 
+    // Report map clicks as geographic positions
+    this.setupMapClick();
+
+    // Show marker tooltips and report marker hovers and clicks
+    this.setupMarkerInteractions();
+
+    // Make markers reachable and announced without a pointer
+    this.setupAccessibility();
+
+    // Enable pan and zoom
+    this.setupViewport();
+
     // Listen for disconnect/reconnect events
     this.handleConnectionEvents();
 
     // Set up error handling
     this.setupErrorHandling();
+
+    // Report connection status, optionally with a badge on the map
+    this.setupStatus();
+
+    if (this.debug) {
+      this.setupDebugOverlay();
+    }
+
+    this.dispatchMapEvent('mounted', { map_id: this.mapId });
   },
 
   destroyed() {
-    console.log('RealTimeMapHook: Destroying real-time map');
+    this.logger.info('Destroying real-time map');
 
-    if (this.channel) {
-      this.channel.leave();
+    this.dispatchMapEvent('destroyed', { map_id: this.mapId });
+
+    // Nothing was set up if real-time mode wasn't supported
+    if (!this.clientState) return;
+
+    if (socket.off) {
+      socket.off(this.socketCallbackRefs);
+    }
+    this.teardownChannel();
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.recoveryTimer);
+
+    if (this.mapClickSvg) {
+      this.mapClickSvg.removeEventListener('click', this.onMapClick);
+    }
+
+    if (this.markerInteractionSvg) {
+      this.markerInteractionSvg.removeEventListener('pointerover', this.onMarkerPointerOver);
+      this.markerInteractionSvg.removeEventListener('pointerout', this.onMarkerPointerOut);
+      this.markerInteractionSvg.removeEventListener('pointermove', this.onMarkerPointerMove);
+      this.markerInteractionStyle.remove();
+      this.tooltip.destroy();
+    }
+
+    if (this.keyboardSvg) {
+      this.keyboardSvg.removeEventListener('keydown', this.onMapKeydown);
+      this.keyboardSvg.removeEventListener('focusin', this.onMarkerFocus);
+      this.keyboardSvg.removeEventListener('focusout', this.onMarkerBlur);
+      this.liveRegion.destroy();
+      this.stopWatchingReducedMotion();
+    }
+
+    if (this.viewport) {
+      this.viewport.destroy();
+      clearTimeout(this.viewportEventTimer);
+    }
+
+    clearTimeout(this.staleTimer);
+
+    this.activeMarkers.forEach((marker, elementId) => {
+      cancelMarkerTransition(elementId, this.markerContext);
+    });
+    if (this.layoutUpdateFrame) {
+      cancelAnimationFrame(this.layoutUpdateFrame);
+    }
+    this.cancelGroupRenders();
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.destroy();
+    }
+
+    if (this.markerContext) {
+      destroyMarkerContext(this.markerContext);
+    }
+
+    if (this.statusBadge) {
+      this.statusBadge.destroy();
+      this.el.classList.remove('fly-map-has-status-badge');
+    }
+
+    if (this.debugOverlay) {
+      this.debugOverlay.destroy();
     }
   },
 
   setupChannel() {
+    // Leave any previous channel first, so its handlers don't fire twice
+    this.teardownChannel();
+    this.connectionState = 'connecting';
+
     // Join the map channel
-    this.channel = socket.channel(this.channelTopic, {});
+    const channel = socket.channel(this.channelTopic, {});
+    this.channel = channel;
 
     // Handle channel events
     this.channel.on('marker_state', (payload) => {
-      console.log('RealTimeMapHook: Received marker state', payload);
-      this.handleMarkerState(payload);
+      this.logger.debug('Received marker state', payload);
+      this.receiveChannelEvent('marker_state', payload);
     });
 
     this.channel.on('marker_update', (payload) => {
-      console.log('RealTimeMapHook: Received marker update', payload);
-      this.handleMarkerUpdate(payload);
+      this.logger.debug('Received marker update', payload);
+      this.receiveChannelEvent('marker_update', payload);
     });
 
     this.channel.on('marker_add', (payload) => {
-      console.log('RealTimeMapHook: Received marker add', payload);
-      this.handleMarkerAdd(payload);
+      this.logger.debug('Received marker add', payload);
+      this.receiveChannelEvent('marker_add', payload);
     });
 
     this.channel.on('marker_remove', (payload) => {
-      console.log('RealTimeMapHook: Received marker remove', payload);
-      this.handleMarkerRemove(payload);
+      this.logger.debug('Received marker remove', payload);
+      this.receiveChannelEvent('marker_remove', payload);
+    });
+
+    this.channel.on('marker_batch', (payload) => {
+      this.logger.debug('Received marker batch', payload);
+      this.receiveChannelEvent('marker_batch', payload);
     });
 
     this.channel.on('theme_change', (payload) => {
-      console.log('RealTimeMapHook: Received theme change', payload);
-      this.handleThemeChange(payload);
+      this.logger.debug('Received theme change', payload);
+      this.receiveChannelEvent('theme_change', payload);
     });
 
     this.channel.on('group_toggle', (payload) => {
-      console.log('RealTimeMapHook: Received group toggle', payload);
-      this.handleGroupToggle(payload);
+      this.logger.debug('Received group toggle', payload);
+      this.receiveChannelEvent('group_toggle', payload);
+    });
+
+    this.channel.on('arc_add', (payload) => {
+      this.logger.debug('Received arc add', payload);
+      this.receiveChannelEvent('arc_add', payload);
+    });
+
+    this.channel.on('arc_update', (payload) => {
+      this.logger.debug('Received arc update', payload);
+      this.receiveChannelEvent('arc_update', payload);
+    });
+
+    this.channel.on('arc_remove', (payload) => {
+      this.logger.debug('Received arc remove', payload);
+      this.receiveChannelEvent('arc_remove', payload);
+    });
+
+    this.channel.on('regions_update', (payload) => {
+      this.logger.debug('Received regions update', payload);
+      this.receiveChannelEvent('regions_update', payload);
     });
 
-    // Join channel and handle responses
+    // Join channel and handle responses; those from a channel we've since
+    // replaced are ignored
     this.channel.join()
       .receive('ok', (resp) => {
-        console.log('RealTimeMapHook: Joined channel successfully', resp);
+        if (channel !== this.channel) return;
+        this.logger.info('Joined channel successfully', resp);
         this.connectionState = 'joined';
         this.reconnectAttempts = 0; // Reset reconnect counter on successful join
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        // Catch up on anything broadcast since our state's version
+        if (this.usingFallback) {
+          this.checkFallbackRecovery();
+        } else if (this.stale) {
+          this.recoverFromStale();
+        } else if (this.clientState.version !== null) {
+          this.requestStateSync();
+        }
+
+        this.updateStatus('joined');
       })
       .receive('error', (resp) => {
-        console.error('RealTimeMapHook: Failed to join channel', resp);
+        if (channel !== this.channel) return;
+        this.logger.error('Failed to join channel', resp);
         this.connectionState = 'error';
-        this.fallbackToServerRendering();
+        this.handleJoinError();
+      });
+
+    channel.onError((error) => {
+      if (channel !== this.channel) return;
+      this.logger.error('Channel error', error);
+      this.connectionState = 'error';
+      this.enterStaleMode('channel_error');
+      this.handleChannelError(error);
+      this.updateStatus('channel_error');
+    });
+
+    channel.onClose((reason) => {
+      if (channel !== this.channel) return;
+      this.logger.warn('Channel closed', reason);
+      this.connectionState = 'closed';
+      this.handleChannelClose(reason);
+      this.updateStatus('channel_closed');
+    });
+  },
+
+  teardownChannel() {
+    const channel = this.channel;
+    if (!channel) return;
+
+    this.channel = null;
+    CHANNEL_EVENTS.forEach(event => channel.off(event));
+    channel.leave();
+  },
+
+  // Apply state events in version order. Unversioned events apply as they
+  // arrive; versioned ones older than our state are dropped, and ones after
+  // a gap wait for the missing events from a state sync.
+  receiveChannelEvent(event, payload) {
+    if (this.debugOverlay) {
+      this.debugOverlay.record(event, payload);
+    }
+
+    const version = payload && Number.isInteger(payload.version) ? payload.version : null;
+    const current = this.clientState.version;
+
+    if (version === null) {
+      this.applyChannelEvent(event, payload);
+      return;
+    }
+
+    if (current !== null && version <= current) {
+      this.logger.debug(`Discarding stale ${event} (version ${version}, have ${current})`);
+      return;
+    }
+
+    // A snapshot replaces everything, so it never waits for a gap
+    if (current !== null && version > current + 1 && event !== 'marker_state') {
+      this.pendingEvents.set(version, { event, payload });
+      this.logger.warn(`Missed events ${current + 1}-${version - 1}, requesting state sync`);
+
+      // Too far behind to catch up event by event: start over from a snapshot
+      if (this.pendingEvents.size > this.maxPendingEvents) {
+        this.pendingEvents.clear();
+        this.fullSyncNeeded = true;
+      }
+
+      this.requestStateSync(this.fullSyncNeeded);
+      return;
+    }
+
+    this.applyVersionedEvent(event, payload, version);
+  },
+
+  applyVersionedEvent(event, payload, version) {
+    this.applyChannelEvent(event, payload);
+    this.clientState.version = version;
+
+    // Drop buffered events we've caught up with, then apply any that follow on
+    this.pendingEvents.forEach((entry, pendingVersion) => {
+      if (pendingVersion <= version) {
+        this.pendingEvents.delete(pendingVersion);
+      }
+    });
+
+    const next = this.pendingEvents.get(version + 1);
+    if (next) {
+      this.pendingEvents.delete(version + 1);
+      this.applyVersionedEvent(next.event, next.payload, version + 1);
+    }
+  },
+
+  applyChannelEvent(event, payload) {
+    // An invalid event is dropped without touching client state. A versioned
+    // one still counts as applied, so it doesn't look like a gap.
+    const errors = validatePayload(event, payload);
+    if (errors.length > 0) {
+      this.rejectPayload(event, payload, errors);
+      return;
+    }
+
+    switch (event) {
+      case 'marker_state': return this.handleMarkerState(payload);
+      case 'marker_update': return this.handleMarkerUpdate(payload);
+      case 'marker_add': return this.handleMarkerAdd(payload);
+      case 'marker_remove': return this.handleMarkerRemove(payload);
+      case 'marker_batch': return this.handleMarkerBatch(payload);
+      case 'theme_change': return this.handleThemeChange(payload);
+      case 'group_toggle': return this.handleGroupToggle(payload);
+      case 'arc_add': return this.handleArcAdd(payload);
+      case 'arc_update': return this.handleArcUpdate(payload);
+      case 'arc_remove': return this.handleArcRemove(payload);
+      case 'regions_update': return this.handleRegionsUpdate(payload);
+      default:
+        this.logger.warn('Unknown channel event', event);
+    }
+  },
+
+  /**
+   * Count an invalid channel payload and report it to the server.
+   *
+   * Pushes `client_error` on the map channel with the event, the problems
+   * found (see validatePayload) and the payload's version.
+   *
+   * @param {string} event - Channel event name
+   * @param {*} payload - Rejected payload
+   * @param {Array<string>} errors - Problems found
+   */
+  rejectPayload(event, payload, errors) {
+    const metrics = this.validationMetrics;
+    metrics.rejected++;
+    metrics.byEvent[event] = (metrics.byEvent[event] || 0) + 1;
+    metrics.lastError = { event, errors, at: Date.now() };
+
+    // Payloads can carry app data, so they're only logged when debugging
+    this.logger.warn(`Rejected invalid ${event} payload: ${errors.join('; ')}`);
+    this.logger.debug(`Rejected ${event} payload`, payload);
+
+    if (this.channel) {
+      this.channel.push('client_error', {
+        type: 'invalid_payload',
+        event,
+        errors: errors.slice(0, 10),
+        version: payload && typeof payload.version === 'number' ? payload.version : null,
+        map_id: this.mapId
       });
+    }
+  },
+
+  /**
+   * Counts of channel payloads rejected by schema validation.
+   *
+   * @returns {Object} {rejected, byEvent, lastError}
+   */
+  getValidationMetrics() {
+    const metrics = this.validationMetrics;
+    return { ...metrics, byEvent: { ...metrics.byEvent } };
   },
 
   renderInitialMarkers() {
     const svg = document.getElementById(this.mapId);
     if (!svg) {
-      console.error('RealTimeMapHook: Map SVG not found:', this.mapId);
+      this.logger.error('Map SVG not found:', this.mapId);
       return;
     }
 
@@ -135,18 +565,9 @@ export function createRealTimeMapHook(socket) {
     this.clearClientMarkers();
 
     // Create markers from initial state
-    const markers = createMarkersFromGroups(
-      this.clientState.markerGroups,
-      this.clientState.config.bbox
-    );
-
-    // Add markers to SVG and track them
-    markers.forEach(marker => {
-      svg.appendChild(marker);
-      this.activeMarkers.set(marker.id, marker);
-    });
+    this.reconcileMarkers(this.clientState.markerGroups);
 
-    console.log(`RealTimeMapHook: Rendered ${markers.length} initial markers`);
+    this.logger.debug(`Rendered ${this.activeMarkers.size} initial markers`);
   },
 
   handleMarkerState(payload) {
@@ -156,37 +577,40 @@ export function createRealTimeMapHook(socket) {
       markerGroups: payload.marker_groups || [],
       theme: payload.theme || this.clientState.theme,
       config: payload.config || this.clientState.config,
+      arcs: payload.arcs || this.clientState.arcs,
       lastUpdate: Date.now()
     };
 
-    // Re-render all markers
-    this.renderInitialMarkers();
+    // Reconcile all markers against the new state, which covers any queued
+    // marker changes too
+    this.cancelGroupRenders();
+    this.reconcileMarkers(this.clientState.markerGroups, null, payload.transition);
   },
 
+  // Marker changes update client state straight away; the DOM catches up
+  // once per animation frame (see queueGroupRender)
   handleMarkerUpdate(payload) {
-    const { group_id, markers } = payload;
+    const { group_id, markers, transition } = payload;
 
     if (!markers || !Array.isArray(markers)) {
-      console.warn('RealTimeMapHook: Invalid marker update payload', payload);
+      this.logger.warn('Invalid marker update payload', payload);
       return;
     }
 
     // Find and update group in client state
-    const groupIndex = this.clientState.markerGroups.findIndex(
-      group => group.id === group_id
-    );
-
-    if (groupIndex === -1) {
-      console.warn('RealTimeMapHook: Group not found for update:', group_id);
+    const group = this.clientState.markerGroups.find(g => g.id === group_id);
+    if (!group) {
+      this.logger.warn('Group not found for update:', group_id);
       return;
     }
 
-    // Update group markers
-    this.clientState.markerGroups[groupIndex].markers = markers;
+    // Update group markers, keeping whichever node list the group uses
+    const nodes = this.getGroupNodes(group);
+    nodes.splice(0, nodes.length, ...markers);
+    this.markerIndexes.delete(group);
     this.clientState.lastUpdate = Date.now();
 
-    // Re-render affected group
-    this.renderGroupMarkers(this.clientState.markerGroups[groupIndex]);
+    this.queueGroupRender(group.id, transition);
   },
 
   handleMarkerAdd(payload) {
@@ -195,264 +619,1737 @@ export function createRealTimeMapHook(socket) {
     // Find group
     const group = this.clientState.markerGroups.find(g => g.id === group_id);
     if (!group) {
-      console.warn('RealTimeMapHook: Group not found for marker add:', group_id);
+      this.logger.warn('Group not found for marker add:', group_id);
       return;
     }
 
+    const nodes = this.getGroupNodes(group);
+
+    // A payload ID that is already on the map replaces that marker
+    const explicitId = marker && typeof marker === 'object' && marker.id !== undefined
+      ? String(marker.id)
+      : null;
+    const existingIndex = explicitId ? this.findNodeIndex(group, explicitId) : -1;
+    if (existingIndex !== -1) {
+      this.logger.warn('Replacing marker with duplicate id:', explicitId);
+      nodes.splice(existingIndex, 1);
+      this.markerIndexes.delete(group);
+    }
+
     // Add marker to group
-    group.markers = group.markers || [];
-    group.markers.push(marker);
+    nodes.push(marker);
+    const index = this.markerIndexes.get(group);
+    if (index) {
+      addToMarkerIndex(index, marker, nodes.length - 1);
+    }
     this.clientState.lastUpdate = Date.now();
 
-    // Create and add new marker
-    const markerId = `${group_id}-${group.markers.length - 1}`;
-    const markerElement = this.createSingleMarker(marker, group.style, markerId);
-
-    if (markerElement) {
-      const svg = document.getElementById(this.mapId);
-      svg.appendChild(markerElement);
-      this.activeMarkers.set(markerId, markerElement);
-    }
+    this.queueGroupRender(group.id);
   },
 
   handleMarkerRemove(payload) {
     const { group_id, marker_id } = payload;
 
-    // Remove from DOM
-    const removed = removeMarker(marker_id);
-    if (removed) {
-      this.activeMarkers.delete(marker_id);
-    }
-
     // Update client state
     const group = this.clientState.markerGroups.find(g => g.id === group_id);
-    if (group && group.markers) {
-      group.markers = group.markers.filter((_, index) =>
-        `${group_id}-${index}` !== marker_id
-      );
-      this.clientState.lastUpdate = Date.now();
+    const nodeIndex = group ? this.findNodeIndex(group, marker_id) : -1;
+    if (nodeIndex === -1) {
+      this.logger.warn('Marker not found for remove:', group_id, marker_id);
+      return;
     }
-  },
 
-  handleThemeChange(payload) {
-    // Update theme in client state
-    this.clientState.theme = { ...this.clientState.theme, ...payload.theme };
+    // Later nodes shift down and repeated nodes may renumber, so the
+    // index is rebuilt on the next lookup
+    this.getGroupNodes(group).splice(nodeIndex, 1);
+    this.markerIndexes.delete(group);
     this.clientState.lastUpdate = Date.now();
 
-    // Apply theme changes to SVG
-    this.applyThemeToSvg(payload.theme);
+    this.queueGroupRender(group.id);
   },
 
-  handleGroupToggle(payload) {
-    const { group_id, visible } = payload;
-
-    // Toggle group visibility
-    toggleMarkerGroup(group_id, visible);
-
-    // Update client state
-    const group = this.clientState.markerGroups.find(g => g.id === group_id);
-    if (group) {
-      group.visible = visible;
-      this.clientState.lastUpdate = Date.now();
+  /**
+   * Apply many marker operations as one event.
+   *
+   * Each operation is `{op: 'update', group_id, markers}`,
+   * `{op: 'add', group_id, marker}` or `{op: 'remove', group_id, marker_id}`,
+   * handled as the matching marker_update, marker_add or marker_remove
+   * event. A batch-level `transition` applies to every update without its own.
+   *
+   * @param {Object} payload - Batch {operations, transition}
+   */
+  handleMarkerBatch(payload) {
+    const { operations, transition } = payload;
+
+    if (!Array.isArray(operations)) {
+      this.logger.warn('Invalid marker batch payload', payload);
+      return;
     }
-  },
-
-  renderGroupMarkers(group) {
-    // Remove existing markers for this group
-    this.activeMarkers.forEach((marker, markerId) => {
-      if (markerId.startsWith(`${group.id}-`)) {
-        marker.remove();
-        this.activeMarkers.delete(markerId);
-      }
-    });
 
-    // Create new markers for group
-    const markers = createMarkersFromGroups([group], this.clientState.config.bbox);
-    const svg = document.getElementById(this.mapId);
+    this.batchMetrics.batches++;
 
-    markers.forEach(marker => {
-      svg.appendChild(marker);
-      this.activeMarkers.set(marker.id, marker);
+    operations.forEach(operation => {
+      switch (operation && operation.op) {
+        case 'update':
+          this.handleMarkerUpdate({
+            ...operation,
+            transition: operation.transition !== undefined ? operation.transition : transition
+          });
+          break;
+        case 'add':
+          this.handleMarkerAdd(operation);
+          break;
+        case 'remove':
+          this.handleMarkerRemove(operation);
+          break;
+        default:
+          this.logger.warn('Unknown marker batch operation', operation);
+      }
     });
   },
 
-  createSingleMarker(markerData, style, markerId) {
-    // Implementation would use markerToSvg and createMarker functions
-    // This is a simplified version for demonstration
-    console.log('Creating single marker:', markerId, markerData, style);
-    return null; // Placeholder
-  },
+  // Note a group whose markers changed and render it on the next frame, so
+  // a burst of events costs one reconcile and layout pass
+  queueGroupRender(groupId, transition = undefined) {
+    const pending = this.pendingRender || { groups: new Map(), operations: 0 };
+    this.pendingRender = pending;
 
-  clearClientMarkers() {
-    this.activeMarkers.forEach(marker => marker.remove());
-    this.activeMarkers.clear();
-  },
+    // The latest explicit transition for a group wins
+    if (transition !== undefined || !pending.groups.has(groupId)) {
+      pending.groups.set(groupId, transition);
+    }
+    pending.operations++;
 
-  applyThemeToSvg(theme) {
-    const svg = document.getElementById(this.mapId);
-    if (!svg) return;
+    if (this.renderFrame) return;
 
-    // Apply theme colors to CSS variables
-    const style = svg.querySelector('style');
-    if (style && theme) {
-      // Update CSS variables for theme colors
-      Object.entries(theme).forEach(([key, value]) => {
-        if (typeof value === 'string') {
-          svg.style.setProperty(`--theme-${key}`, value);
-        }
-      });
+    if (typeof requestAnimationFrame !== 'function') {
+      this.flushGroupRenders();
+      return;
     }
-  },
-
-  handleConnectionEvents() {
-    // Handle socket disconnect
-    socket.onError(() => {
-      console.warn('RealTimeMapHook: Socket connection error, falling back to server rendering');
-      this.fallbackToServerRendering();
-    });
 
-    // Handle socket reconnect
-    socket.onOpen(() => {
-      console.log('RealTimeMapHook: Socket reconnected, requesting state sync');
-      this.requestStateSync();
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.flushGroupRenders();
     });
   },
 
-  requestStateSync() {
-    if (this.channel && this.channel.state === 'joined') {
-      this.channel.push('state_sync', {
-        client_state: {
-          last_update: this.clientState.lastUpdate,
-          marker_count: this.activeMarkers.size
-        }
-      });
-    }
-  },
+  flushGroupRenders() {
+    const pending = this.pendingRender;
+    if (!pending) return;
 
-  fallbackToServerRendering() {
-    // Clear client-rendered markers
-    this.clearClientMarkers();
-
-    // Mark as using fallback mode
-    this.usingFallback = true;
-    this.el.dataset.fallbackMode = 'true';
+    this.cancelGroupRenders();
 
-    // Trigger LiveView update by sending an event
-    this.pushEvent('fallback_to_server', {
-      reason: 'channel_error',
-      timestamp: Date.now()
+    // Names of the markers in the changed groups, to announce what changed
+    const before = new Map();
+    this.activeMarkers.forEach((marker, elementId) => {
+      if (pending.groups.has(marker.getAttribute('data-group-id'))) {
+        before.set(elementId, marker.getAttribute('aria-label'));
+      }
     });
 
-    console.log('RealTimeMapHook: Switched to server rendering fallback');
-  },
-
-  // Enhanced error handling and recovery
-  setupErrorHandling() {
-    // Track connection state
-    this.connectionState = 'connecting';
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 1000; // Start with 1 second
+    // One reconcile per distinct transition; usually there is only one
+    const byTransition = new Map();
+    pending.groups.forEach((transition, groupId) => {
+      const key = JSON.stringify(transition === undefined ? null : transition);
+      const entry = byTransition.get(key) || { transition, groupIds: new Set() };
+      entry.groupIds.add(groupId);
+      byTransition.set(key, entry);
+    });
 
-    // Handle channel errors
-    this.channel.onError((error) => {
-      console.error('RealTimeMapHook: Channel error', error);
-      this.connectionState = 'error';
-      this.handleChannelError(error);
+    byTransition.forEach(({ transition, groupIds }) => {
+      const groups = this.clientState.markerGroups.filter(g => groupIds.has(g.id));
+      this.reconcileMarkers(groups, groupIds, transition);
     });
 
-    // Handle channel close
-    this.channel.onClose((reason) => {
-      console.warn('RealTimeMapHook: Channel closed', reason);
-      this.connectionState = 'closed';
-      this.handleChannelClose(reason);
+    const added = [];
+    this.activeMarkers.forEach((marker, elementId) => {
+      if (pending.groups.has(marker.getAttribute('data-group-id')) && !before.has(elementId)) {
+        added.push(marker.getAttribute('aria-label'));
+      }
     });
+    const removed = Array.from(before.keys())
+      .filter(elementId => !this.activeMarkers.has(elementId))
+      .map(elementId => before.get(elementId));
+    this.announceMarkerChanges(added, removed);
+
+    const metrics = this.batchMetrics;
+    metrics.flushes++;
+    metrics.operations += pending.operations;
+    metrics.merged += pending.operations - 1;
+    metrics.lastFlush = {
+      operations: pending.operations,
+      merged: pending.operations - 1,
+      groups: pending.groups.size
+    };
+
+    this.logger.debug('Flushed marker operations', metrics.lastFlush);
   },
 
-  handleChannelError(error) {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.attemptReconnect();
-    } else {
-      console.error('RealTimeMapHook: Max reconnection attempts reached, falling back to server rendering');
-      this.fallbackToServerRendering();
+  cancelGroupRenders() {
+    this.pendingRender = null;
+    if (this.renderFrame) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
     }
   },
 
-  handleChannelClose(reason) {
-    if (reason !== 'leave' && this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.attemptReconnect();
+  announceMarkerChanges(added, removed) {
+    const messages = [];
+
+    if (added.length === 1) {
+      messages.push(`Added ${added[0]}`);
+    } else if (added.length > 1) {
+      messages.push(`Added ${added.length} markers`);
     }
-  },
 
-  attemptReconnect() {
-    this.reconnectAttempts++;
-    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), 30000);
+    if (removed.length === 1) {
+      messages.push(`Removed ${removed[0]}`);
+    } else if (removed.length > 1) {
+      messages.push(`Removed ${removed.length} markers`);
+    }
 
-    console.log(`RealTimeMapHook: Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
+    if (messages.length > 0) {
+      this.announce(messages.join('. '));
+    }
+  },
 
-    setTimeout(() => {
-      if (this.connectionState !== 'joined') {
-        this.setupChannel();
-      }
-    }, delay);
+  /**
+   * Counts of coalesced marker operations.
+   *
+   * @returns {Object} {operations, flushes, merged, batches, lastFlush} where
+   *   merged is the number of operations that didn't need a render of their own
+   */
+  getBatchMetrics() {
+    return { ...this.batchMetrics };
   },
 
-  validateMarkerData(marker) {
-    if (!marker) return false;
+  // Groups carry their nodes as either `nodes` or `markers`
+  getGroupNodes(group) {
+    if (group.nodes) return group.nodes;
+    group.markers = group.markers || [];
+    return group.markers;
+  },
 
-    // Check if marker has valid coordinates
-    if (typeof marker === 'string') {
-      // Region code - should be valid
-      return true;
+  /**
+   * Choose how a group's markers are drawn.
+   *
+   * `style.render` can pick "svg", "canvas" or "heatmap" explicitly;
+   * otherwise groups switch to the canvas once they are large enough for
+   * selectRenderingStrategy().
+   *
+   * @param {Object} group - Marker group
+   * @returns {string} 'svg', 'canvas' or 'heatmap'
+   */
+  getGroupRenderer(group) {
+    const render = group.style && group.style.render;
+    if (render === 'svg' || render === 'canvas' || render === 'heatmap') {
+      return render;
     }
 
-    if (Array.isArray(marker) && marker.length === 2) {
-      const [lat, lng] = marker;
-      return typeof lat === 'number' && typeof lng === 'number' &&
-             lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
-    }
+    return this.selectRenderingStrategy(this.getGroupNodes(group).length) === 'canvas'
+      ? 'canvas'
+      : 'svg';
+  },
 
-    if (typeof marker === 'object' && marker !== null) {
-      const lat = marker.lat || marker.latitude;
-      const lng = marker.lng || marker.longitude;
-      return typeof lat === 'number' && typeof lng === 'number' &&
-             lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  findNodeIndex(group, markerId) {
+    let index = this.markerIndexes.get(group);
+    if (!index) {
+      index = indexMarkerIds(this.getGroupNodes(group));
+      this.markerIndexes.set(group, index);
     }
 
-    return false;
+    const nodeIndex = index.ids.get(markerId);
+    return nodeIndex === undefined ? -1 : nodeIndex;
   },
 
-  // Enhanced state validation
-  validateServerState(state) {
-    try {
-      if (!state || typeof state !== 'object') {
-        throw new Error('Invalid state format');
-      }
+  handleThemeChange(payload) {
+    // Update theme in client state
+    this.clientState.theme = { ...this.clientState.theme, ...payload.theme };
+    this.clientState.lastUpdate = Date.now();
 
-      if (!Array.isArray(state.marker_groups)) {
-        throw new Error('marker_groups must be an array');
-      }
+    // Apply theme changes to SVG
+    this.applyThemeToSvg(payload.theme);
+  },
 
-      // Validate each marker group
-      state.marker_groups.forEach((group, index) => {
-        if (!group.id || typeof group.id !== 'string') {
-          throw new Error(`Group ${index} missing valid id`);
-        }
+  handleGroupToggle(payload) {
+    const { group_id, visible } = payload;
 
-        if (group.markers && Array.isArray(group.markers)) {
-          group.markers.forEach((marker, markerIndex) => {
-            if (!this.validateMarkerData(marker)) {
-              throw new Error(`Invalid marker data at group ${index}, marker ${markerIndex}`);
-            }
-          });
+    // Toggle group visibility; marker elements carry the group's label
+    const group = this.clientState.markerGroups.find(g => g.id === group_id);
+    toggleMarkerGroup(group && group.group_label ? group.group_label : group_id, visible, this.markerContext);
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setGroupVisible(group_id, visible);
+    }
+
+    // Update client state
+    if (group) {
+      group.visible = visible;
+      this.clientState.lastUpdate = Date.now();
+    }
+  },
+
+  handleArcAdd(payload) {
+    const { arc } = payload;
+
+    if (!arc || !arc.id) {
+      this.logger.warn('Invalid arc add payload', payload);
+      return;
+    }
+
+    // Replace any arc with the same ID
+    this.clientState.arcs = this.clientState.arcs.filter(a => a.id !== arc.id);
+    this.clientState.arcs.push(arc);
+    this.clientState.lastUpdate = Date.now();
+
+    this.drawArc(arc);
+  },
+
+  handleArcUpdate(payload) {
+    const { arc } = payload;
+
+    const existing = arc && this.clientState.arcs.find(a => a.id === arc.id);
+    if (!existing) {
+      this.logger.warn('Arc not found for update:', arc && arc.id);
+      return;
+    }
+
+    Object.assign(existing, arc, { style: { ...existing.style, ...arc.style } });
+    this.clientState.lastUpdate = Date.now();
+
+    const { bbox, projection } = this.clientState.config;
+    updateArc(existing.id, {
+      from: this.resolveArcEndpoint(existing.from),
+      to: this.resolveArcEndpoint(existing.to),
+      style: existing.style
+    }, bbox, projection, this.getArcLayer());
+  },
+
+  handleArcRemove(payload) {
+    const { arc_id } = payload;
+
+    removeArc(arc_id, this.getArcLayer());
+    this.clientState.arcs = this.clientState.arcs.filter(a => a.id !== arc_id);
+    this.clientState.lastUpdate = Date.now();
+  },
+
+  renderArcs() {
+    const layer = this.getArcLayer();
+    if (!layer) return;
+
+    layer.replaceChildren();
+    this.clientState.arcs.forEach(arc => this.drawArc(arc));
+  },
+
+  drawArc(arc) {
+    const layer = this.getArcLayer();
+    if (!layer) return;
+
+    const { bbox, projection } = this.clientState.config;
+    const element = createArc({
+      id: arc.id,
+      mapId: this.mapId,
+      from: this.resolveArcEndpoint(arc.from),
+      to: this.resolveArcEndpoint(arc.to),
+      style: arc.style,
+      bbox,
+      projection
+    });
+
+    removeArc(arc.id, layer);
+
+    if (element) {
+      layer.appendChild(element);
+    } else {
+      this.logger.warn('Could not resolve arc endpoints', arc);
+    }
+  },
+
+  // Move the ends of arcs attached to a marker to where it is now
+  redrawMarkerArcs(marker) {
+    const groupId = marker.getAttribute('data-group-id');
+    const markerId = marker.getAttribute('data-marker-id');
+    const attached = (endpoint) => !!endpoint &&
+      endpoint.group_id === groupId && endpoint.marker_id === markerId;
+
+    const layer = this.getArcLayer();
+    const { bbox, projection } = this.clientState.config;
+    this.clientState.arcs
+      .filter(arc => attached(arc.from) || attached(arc.to))
+      .forEach(arc => {
+        updateArc(arc.id, {
+          from: this.resolveArcEndpoint(arc.from),
+          to: this.resolveArcEndpoint(arc.to)
+        }, bbox, projection, layer);
+      });
+  },
+
+  // Arc endpoints may reference a rendered marker by its group and stable
+  // marker ID, the same pair marker_remove uses
+  resolveArcEndpoint(endpoint) {
+    if (!endpoint || !endpoint.marker_id) {
+      return endpoint;
+    }
+
+    const elementId = getMarkerElementId(endpoint.group_id, endpoint.marker_id, this.mapId);
+    const geometry = getMarkerGeometry(this.activeMarkers.get(elementId)) ||
+      (this.canvasRenderer && this.canvasRenderer.getMarkerGeometry(elementId));
+    if (!geometry) return null;
+
+    const { bbox, projection } = this.clientState.config;
+    return svgToWgs84(geometry.x, geometry.y, bbox, projection);
+  },
+
+  getArcLayer() {
+    if (this.arcLayer && this.arcLayer.isConnected) {
+      return this.arcLayer;
+    }
+
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return null;
+
+    // Draw arcs above the basemap but beneath markers
+    this.arcLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    this.arcLayer.setAttribute('class', 'arc-layer');
+    svg.insertBefore(this.arcLayer, svg.querySelector('.marker-group, .marker-cluster'));
+
+    return this.arcLayer;
+  },
+
+  handleRegionsUpdate(payload) {
+    const { regions, removed, replace } = payload;
+
+    // Update the region registry
+    loadRegions(regions || {}, { replace: !!replace });
+    (removed || []).forEach(code => unregisterRegion(code));
+    this.clientState.lastUpdate = Date.now();
+
+    // Re-render so markers on newly known regions are drawn
+    this.reconcileMarkers(this.clientState.markerGroups);
+  },
+
+  renderGroupMarkers(group, transition) {
+    this.reconcileMarkers([group], new Set([group.id]), transition);
+  },
+
+  /**
+   * Diff marker groups against the markers on the map.
+   *
+   * Markers are matched by their stable marker ID (the node's `id`, or a
+   * key derived from label/region/coordinates), so unchanged markers keep
+   * their elements and running animations. Only
+   * new markers are created, moved or restyled markers updated, and
+   * markers no longer present removed.
+   *
+   * @param {Array} groups - Marker groups to render
+   * @param {Set} groupIds - Limit reconciliation to these group IDs
+   *   (defaults to all markers on the map)
+   */
+  reconcileMarkers(groups, groupIds = null, transition = undefined) {
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    const { bbox, projection } = this.clientState.config;
+
+    // Heatmap groups are drawn as a density layer and high-volume groups
+    // on a canvas, rather than as marker elements
+    const groupRenderers = new Map();
+    groups.forEach((group, index) => {
+      groupRenderers.set(group.id || `group-${index}`, this.getGroupRenderer(group));
+    });
+
+    const descriptors = [];
+    const canvasDescriptors = [];
+    describeMarkersFromGroups(groups, bbox, projection, this.mapId, this.logger).forEach(descriptor => {
+      const renderer = groupRenderers.get(descriptor.groupId);
+      if (renderer === 'svg') {
+        descriptors.push(descriptor);
+      } else if (renderer === 'canvas') {
+        canvasDescriptors.push(descriptor);
+      }
+    });
+
+    // Existing markers in scope, by element ID
+    const pool = new Map();
+    this.activeMarkers.forEach((marker, elementId) => {
+      const groupId = marker.getAttribute('data-group-id');
+      if (!groupIds || groupIds.has(groupId)) {
+        pool.set(elementId, marker);
+      }
+    });
+
+    const stats = { added: 0, updated: 0, removed: 0 };
+
+    descriptors.forEach(descriptor => {
+      const marker = pool.get(descriptor.id);
+
+      if (!marker) {
+        const created = createMarker({ ...descriptor, context: this.markerContext });
+        this.markerStyleKeys.set(created, JSON.stringify(descriptor.style));
+        this.addMarkerElement(svg, created);
+        stats.added++;
+        return;
+      }
+
+      pool.delete(descriptor.id);
+      Object.entries(descriptor.dataAttrs).forEach(([key, value]) => {
+        marker.setAttribute(key, value);
+      });
+
+      if (this.updateMarkerFromDescriptor(marker, descriptor, transition)) {
+        stats.updated++;
+      }
+    });
+
+    // Whatever is left in the pool is gone from the new state
+    pool.forEach((marker, elementId) => {
+      removeMarker(elementId, this.markerContext);
+      this.activeMarkers.delete(elementId);
+      stats.removed++;
+    });
+
+    this.reconcileCanvasMarkers(canvasDescriptors, groupIds, stats);
+    this.renderHeatmaps(groups, groupIds);
+    this.updateMarkerLayout();
+    this.renderArcs();
+
+    this.logger.debug('Reconciled markers', stats);
+  },
+
+  reconcileCanvasMarkers(descriptors, groupIds, stats) {
+    if (descriptors.length === 0 && !this.canvasRenderer) return;
+
+    const renderer = this.getCanvasRenderer();
+    if (!renderer) return;
+
+    const pool = new Set();
+    renderer.getMarkers().forEach(record => {
+      if (!groupIds || groupIds.has(record.groupId)) {
+        pool.add(record.id);
+      }
+    });
+
+    descriptors.forEach(descriptor => {
+      const record = renderer.getMarker(descriptor.id);
+
+      if (!record) {
+        const created = renderer.createMarker(descriptor);
+        this.markerStyleKeys.set(created, JSON.stringify(descriptor.style));
+        stats.added++;
+        return;
+      }
+
+      pool.delete(descriptor.id);
+
+      const updates = {};
+      if (record.x !== descriptor.x || record.y !== descriptor.y) {
+        updates.x = descriptor.x;
+        updates.y = descriptor.y;
+      }
+
+      const styleKey = JSON.stringify(descriptor.style);
+      if (this.markerStyleKeys.get(record) !== styleKey) {
+        updates.style = {
+          ...descriptor.style,
+          colour: descriptor.style.colour || '#6b7280',
+          size: descriptor.style.size || MARKER_CONFIG.defaultRadius,
+          animation: descriptor.style.animation || 'none',
+          shape: descriptor.style.shape || 'circle',
+          glow: descriptor.style.glow || false
+        };
+        this.markerStyleKeys.set(record, styleKey);
+      }
+
+      if (record.label !== descriptor.label) {
+        updates.label = descriptor.label;
+      }
+      if (record.accessibleName !== descriptor.accessibleName) {
+        updates.accessibleName = descriptor.accessibleName;
+      }
+
+      // Canvas markers update in place; transitions are SVG-only
+      if (Object.keys(updates).length > 0 && renderer.updateMarker(descriptor.id, updates)) {
+        stats.updated++;
+      }
+    });
+
+    pool.forEach(id => {
+      renderer.removeMarker(id);
+      stats.removed++;
+    });
+  },
+
+  getCanvasRenderer() {
+    if (this.canvasRenderer) {
+      return this.canvasRenderer;
+    }
+
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return null;
+
+    const renderingConfig = this.clientState.config.rendering || {};
+    this.canvasRenderer = createCanvasRenderer(svg, {
+      layer: renderingConfig.canvas_layer,
+      logger: this.logger
+    });
+    if (this.viewport) {
+      this.canvasRenderer.setScale(1 / this.viewport.getViewport().zoom);
+    }
+
+    return this.canvasRenderer;
+  },
+
+  /**
+   * Draw density layers for groups with `style.render: "heatmap"`.
+   *
+   * Style keys: radius (SVG units), ramp (hex colours, low to high),
+   * opacity, weight_field (node field to weight points by) and max (fixed
+   * intensity for the top of the ramp, so surfaces are comparable between
+   * updates).
+   *
+   * @param {Array} groups - Marker groups to render
+   * @param {Set} groupIds - Limit to these group IDs (defaults to all layers)
+   */
+  renderHeatmaps(groups, groupIds = null) {
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    const { bbox, projection } = this.clientState.config;
+    const stale = new Map();
+    this.heatmapLayers.forEach((layer, groupId) => {
+      if (!groupIds || groupIds.has(groupId)) {
+        stale.set(groupId, layer);
+      }
+    });
+
+    groups.forEach((group, index) => {
+      if (!isHeatmapGroup(group)) return;
+
+      const groupId = group.id || `group-${index}`;
+      const style = group.style;
+      const points = heatmapPoints(this.getGroupNodes(group), {
+        weightField: style.weight_field,
+        bbox,
+        projection
+      });
+      const layerStyle = {
+        radius: style.radius,
+        ramp: style.ramp,
+        opacity: style.opacity,
+        max: style.max
+      };
+
+      const existing = stale.get(groupId);
+      if (existing && existing.isConnected) {
+        stale.delete(groupId);
+        updateHeatmapLayer(existing, points, layerStyle, bbox, this.logger);
+        return;
+      }
+
+      // Toggled with the group's markers, by label or else by ID
+      const dataAttrs = {
+        'data-group-id': groupId,
+        'data-group': String(group.group_label || groupId).replace(/[^a-zA-Z0-9_-]/g, '_')
+      };
+
+      const layer = createHeatmapLayer({
+        id: `heatmap-${this.mapId}-${groupId}`,
+        points,
+        style: layerStyle,
+        bbox,
+        dataAttrs,
+        logger: this.logger
+      });
+
+      // Keep density surfaces beneath arcs and markers
+      svg.insertBefore(layer, svg.querySelector('.arc-layer, .marker-group, .marker-cluster'));
+      this.heatmapLayers.set(groupId, layer);
+    });
+
+    stale.forEach((layer, groupId) => {
+      layer.remove();
+      this.heatmapLayers.delete(groupId);
+    });
+  },
+
+  updateMarkerFromDescriptor(marker, descriptor, transition) {
+    const geometry = getMarkerGeometry(marker);
+    const updates = {};
+
+    if (geometry && (geometry.x !== descriptor.x || geometry.y !== descriptor.y)) {
+      updates.x = descriptor.x;
+      updates.y = descriptor.y;
+    }
+
+    // Only restyle when the style changed, so animations aren't restarted
+    const styleKey = JSON.stringify(descriptor.style);
+    if (this.markerStyleKeys.get(marker) !== styleKey) {
+      // Spell out defaults so properties dropped from the style are reset
+      updates.style = {
+        ...descriptor.style,
+        colour: descriptor.style.colour || '#6b7280',
+        size: descriptor.style.size || MARKER_CONFIG.defaultRadius,
+        animation: descriptor.style.animation || 'none',
+        shape: descriptor.style.shape || 'circle',
+        icon: descriptor.style.icon || null,
+        labels: descriptor.style.labels || 'never'
+      };
+      this.markerStyleKeys.set(marker, styleKey);
+    }
+
+    // Labels and badges come from the node rather than the group style
+    const label = descriptor.label === null ? null : String(descriptor.label);
+    if (marker.getAttribute('data-label') !== label) {
+      updates.label = label;
+    }
+
+    if (marker.getAttribute('aria-label') !== descriptor.accessibleName) {
+      updates.accessibleName = descriptor.accessibleName;
+    }
+
+    const badgeText = marker.querySelector('.marker-badge text');
+    const badge = descriptor.badge === null ? null : String(descriptor.badge);
+    if ((badgeText ? badgeText.textContent : null) !== badge) {
+      updates.badge = badge;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    const transitionOptions = this.getTransitionOptions(transition);
+    if (!transitionOptions) {
+      cancelMarkerTransition(marker.id, this.markerContext);
+      return updateMarker(marker.id, updates, this.markerContext);
+    }
+
+    return transitionMarker(marker.id, updates, {
+      ...transitionOptions,
+      context: this.markerContext,
+      // Arcs ending at the marker were drawn at its old position
+      onFrame: () => this.redrawMarkerArcs(marker),
+      onComplete: (completed) => {
+        // Clusters are computed from marker positions, so refresh them once it lands
+        if (completed) this.scheduleLayoutUpdate();
+      }
+    });
+  },
+
+  /**
+   * Resolve transition options for an update.
+   *
+   * The map's config.transitions sets the defaults; an update's own
+   * transition ({duration, easing, path}, or false) overrides them.
+   *
+   * @param {Object|boolean} transition - Per-update transition options
+   * @returns {Object|null} Options for transitionMarker, or null to update instantly
+   */
+  getTransitionOptions(transition) {
+    const transitionConfig = this.clientState.config.transitions || {};
+    if (transition === false || (transitionConfig.enabled === false && !transition)) {
+      return null;
+    }
+
+    const { bbox, projection } = this.clientState.config;
+    const overrides = typeof transition === 'object' && transition !== null ? transition : {};
+
+    return {
+      duration: overrides.duration !== undefined ? overrides.duration : transitionConfig.duration,
+      easing: overrides.easing || transitionConfig.easing,
+      path: overrides.path || transitionConfig.path,
+      bbox,
+      projection
+    };
+  },
+
+  scheduleLayoutUpdate() {
+    if (this.layoutUpdateFrame) return;
+
+    this.layoutUpdateFrame = requestAnimationFrame(() => {
+      this.layoutUpdateFrame = null;
+      this.updateMarkerLayout();
+    });
+  },
+
+  // Clusters and label placement both depend on where every marker is
+  updateMarkerLayout() {
+    // Removed markers don't send pointerout, so drop a stale tooltip
+    if (this.hoveredMarker && !this.hoveredMarker.isConnected) {
+      this.clearHoveredMarker();
+    }
+
+    this.layoutZoom = this.viewport ? this.viewport.getViewport().zoom : 1;
+    this.updateClusters();
+    layoutMarkerLabels(Array.from(this.activeMarkers.values()));
+    this.updateRovingFocus();
+  },
+
+  addMarkerElement(svg, marker) {
+    svg.appendChild(marker);
+    this.activeMarkers.set(marker.id, marker);
+    this.applyViewportScale(marker);
+  },
+
+  clearClientMarkers() {
+    this.clearClusters();
+    this.activeMarkers.forEach((marker, elementId) => removeMarker(elementId, this.markerContext));
+    this.activeMarkers.clear();
+    this.heatmapLayers.forEach(layer => layer.remove());
+    this.heatmapLayers.clear();
+    if (this.canvasRenderer) {
+      this.canvasRenderer.clear();
+    }
+  },
+
+  updateClusters() {
+    this.clearClusters();
+
+    const clusterConfig = this.clientState.config.clustering || {};
+    if (clusterConfig.enabled === false) return;
+
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    const zoom = this.viewport ? this.viewport.getViewport().zoom : 1;
+
+    // Collect positions of markers in visible groups
+    const positions = [];
+    this.activeMarkers.forEach((marker, id) => {
+      const geometry = getMarkerGeometry(marker);
+      if (!geometry) return;
+      positions.push({
+        id,
+        group: marker.getAttribute('data-group-id'),
+        x: geometry.x,
+        y: geometry.y
+      });
+    });
+
+    const clusters = clusterMarkers(positions, {
+      radius: (clusterConfig.radius || CLUSTER_CONFIG.radius) / zoom,
+      minClusterSize: clusterConfig.min_size
+    });
+
+    clusters.forEach(cluster => {
+      const group = this.clientState.markerGroups.find(g => g.id === cluster.group) || {};
+      const members = cluster.members.map(id => this.activeMarkers.get(id));
+
+      // Hide clustered markers in favour of a single badge
+      members.forEach(marker => { marker.style.display = 'none'; });
+
+      const badge = createClusterBadge({
+        id: cluster.id,
+        count: members.length,
+        x: cluster.x,
+        y: cluster.y,
+        style: group.style,
+        label: group.group_label ? `${members.length} markers in ${group.group_label}` : null,
+        dataAttrs: members[0].hasAttribute('data-group')
+          ? { 'data-group': members[0].getAttribute('data-group') }
+          : {}
+      });
+
+      badge.addEventListener('click', (event) => {
+        // Don't report badge clicks as map clicks
+        event.stopPropagation();
+        this.toggleSpider(cluster, members, group.style || {});
+      });
+
+      svg.appendChild(badge);
+      this.applyViewportScale(badge);
+      this.activeClusters.set(cluster.id, { badge, cluster });
+    });
+  },
+
+  clearClusters() {
+    this.collapseSpider();
+    this.activeClusters.forEach(({ badge }) => badge.remove());
+    this.activeClusters.clear();
+    this.activeMarkers.forEach(marker => { marker.style.display = ''; });
+  },
+
+  toggleSpider(cluster, members, style) {
+    const wasExpanded = this.expandedSpider && this.expandedSpider.clusterId === cluster.id;
+    this.collapseSpider();
+    if (wasExpanded) return;
+
+    const zoom = this.viewport ? this.viewport.getViewport().zoom : 1;
+    const { element, clones } = createSpider(cluster, members, {
+      radius: CLUSTER_CONFIG.spiderRadius / zoom,
+      colour: style.colour
+    });
+
+    clones.forEach(clone => {
+      this.applyViewportScale(clone);
+      clone.setAttribute('tabindex', '-1');
+    });
+
+    // Draw the spider beneath its badge
+    const { badge } = this.activeClusters.get(cluster.id);
+    badge.parentNode.insertBefore(element, badge);
+    badge.setAttribute('aria-expanded', 'true');
+    this.expandedSpider = { clusterId: cluster.id, element, badge };
+  },
+
+  collapseSpider() {
+    if (this.expandedSpider) {
+      const { element, badge } = this.expandedSpider;
+      const hadFocus = element.contains(document.activeElement);
+
+      element.remove();
+      badge.setAttribute('aria-expanded', 'false');
+      this.expandedSpider = null;
+
+      // Don't strand keyboard focus on a removed clone
+      if (hadFocus && badge.isConnected) {
+        this.focusMapElement(badge);
+      }
+    }
+  },
+
+  applyThemeToSvg(theme) {
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    // Apply theme colors to CSS variables
+    const style = svg.querySelector('style');
+    if (style && theme) {
+      // Update CSS variables for theme colors
+      Object.entries(theme).forEach(([key, value]) => {
+        if (typeof value === 'string') {
+          svg.style.setProperty(`--theme-${key}`, value);
         }
       });
+    }
+  },
+
+  setupMapClick() {
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    this.onMapClick = (event) => this.handleMapClick(event);
+    this.mapClickSvg = svg;
+    svg.addEventListener('click', this.onMapClick);
+  },
+
+  handleMapClick(event) {
+    // Clicks on markers are reported as marker clicks instead
+    const marker = this.findMarkerElement(event.target) || this.hitTestCanvas(event);
+    if (marker) {
+      this.handleMarkerClick(marker);
+      return;
+    }
+
+    const svgPoint = this.clientToSvgPoint(event.clientX, event.clientY);
+    if (!svgPoint) return;
+
+    const coords = svgToWgs84(
+      svgPoint.x,
+      svgPoint.y,
+      this.clientState.config.bbox,
+      this.clientState.config.projection
+    );
+
+    // Ignore clicks outside the projected world (e.g. Robinson corners)
+    if (!coords) return;
+
+    const nearest = nearestRegion(coords.lat, coords.lng);
+
+    this.pushMapEvent('map_click', {
+      lat: coords.lat,
+      lng: coords.lng,
+      region: nearest ? nearest.region : null,
+      region_name: nearest ? getRegionName(nearest.region) : null,
+      distance_km: nearest ? Math.round(nearest.distance * 10) / 10 : null
+    });
+  },
+
+  // Convert a pointer position from screen to SVG user units
+  clientToSvgPoint(clientX, clientY) {
+    const svg = document.getElementById(this.mapId);
+    const ctm = svg && svg.getScreenCTM();
+    if (!ctm) return null;
+
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(ctm.inverse());
+  },
+
+  setupMarkerInteractions() {
+    const svg = document.getElementById(this.mapId);
+    const interactions = this.clientState.config.interactions || {};
+    if (!svg || interactions.enabled === false) return;
+
+    this.markerInteractions = {
+      tooltips: interactions.tooltips !== false,
+      hoverEvents: interactions.hover_events !== false
+    };
+    this.tooltip = createTooltip({ id: `${this.mapId}-tooltip` });
+    this.hoveredMarker = null;
+
+    // The map stylesheet disables pointer events on circles
+    this.markerInteractionStyle = document.createElement('style');
+    this.markerInteractionStyle.textContent =
+      `svg[id="${this.mapId}"] .marker-group[data-marker-id] .marker-shape { pointer-events: all; cursor: pointer; }\n` +
+      `svg[id="${this.mapId}"].canvas-marker-hover { cursor: pointer; }`;
+    document.head.appendChild(this.markerInteractionStyle);
+
+    this.onMarkerPointerOver = (event) => this.handleMarkerPointerOver(event);
+    this.onMarkerPointerOut = (event) => this.handleMarkerPointerOut(event);
+    this.onMarkerPointerMove = (event) => {
+      this.handleCanvasPointerMove(event);
+      if (this.hoveredMarker) this.tooltip.move(event.clientX, event.clientY);
+    };
+
+    this.markerInteractionSvg = svg;
+    svg.addEventListener('pointerover', this.onMarkerPointerOver);
+    svg.addEventListener('pointerout', this.onMarkerPointerOut);
+    svg.addEventListener('pointermove', this.onMarkerPointerMove);
+  },
+
+  // Client-rendered marker (or spider clone) containing an event target
+  findMarkerElement(target) {
+    const marker = target && target.closest ? target.closest('.marker-group[data-marker-id]') : null;
+    return marker && this.markerInteractionSvg && this.markerInteractionSvg.contains(marker)
+      ? marker
+      : null;
+  },
+
+  // Canvas marker at a pointer event's position
+  hitTestCanvas(event) {
+    if (!this.canvasRenderer || this.canvasRenderer.size === 0) return null;
+
+    const point = this.clientToSvgPoint(event.clientX, event.clientY);
+    return point ? this.canvasRenderer.hitTest(point.x, point.y) : null;
+  },
+
+  handleMarkerPointerOver(event) {
+    const marker = this.findMarkerElement(event.target);
+    if (!marker || marker === this.hoveredMarker) return;
+
+    this.hoverMarker(marker, event);
+  },
+
+  // Canvas markers have no elements to send pointerover and pointerout
+  handleCanvasPointerMove(event) {
+    if (!this.canvasRenderer) return;
 
-      return true;
-    } catch (error) {
-      console.error('RealTimeMapHook: State validation failed', error);
+    // Marker elements are drawn on top of the canvas
+    const hovered = this.hoveredMarker;
+    if (hovered && hovered.isConnected && typeof hovered.getAttribute === 'function') return;
+
+    const record = this.hitTestCanvas(event);
+    if (record === hovered) return;
+
+    if (hovered) {
+      this.clearHoveredMarker();
+    }
+    if (record) {
+      this.hoverMarker(record, event);
+      this.markerInteractionSvg.classList.add('canvas-marker-hover');
+    }
+  },
+
+  hoverMarker(marker, event) {
+    this.hoveredMarker = marker;
+    const info = this.getMarkerInfo(marker);
+
+    if (this.markerInteractions.tooltips) {
+      this.tooltip.show(info, event.clientX, event.clientY);
+    }
+    if (this.markerInteractions.hoverEvents) {
+      this.pushMapEvent('marker_hover', this.getMarkerEventPayload(info));
+    }
+  },
+
+  handleMarkerPointerOut(event) {
+    if (!this.hoveredMarker) return;
+
+    // Moving between parts of the same marker doesn't leave it, and canvas
+    // markers are only left by moving off them or off the map
+    const within = this.hoveredMarker.contains ? this.hoveredMarker : this.markerInteractionSvg;
+    if (event.relatedTarget && within.contains(event.relatedTarget)) return;
+
+    this.clearHoveredMarker();
+  },
+
+  clearHoveredMarker() {
+    this.hoveredMarker = null;
+    if (this.markerInteractionSvg) {
+      this.markerInteractionSvg.classList.remove('canvas-marker-hover');
+    }
+    if (this.tooltip) {
+      this.tooltip.hide();
+    }
+  },
+
+  handleMarkerClick(marker) {
+    if (!this.markerInteractionSvg) return;
+
+    this.pushMapEvent('marker_click', this.getMarkerEventPayload(this.getMarkerInfo(marker)));
+  },
+
+  /**
+   * Collect what's known about a marker from its node and group.
+   *
+   * @param {SVGElement|Object} marker - Marker element (or spider clone),
+   *   or canvas marker record
+   * @returns {Object} Marker info {marker_id, group_id, lat, lng, label,
+   *   region, region_name, group_label, metadata}
+   */
+  getMarkerInfo(marker) {
+    const isElement = typeof marker.getAttribute === 'function';
+    const groupId = isElement ? marker.getAttribute('data-group-id') : marker.groupId;
+    const markerId = isElement ? marker.getAttribute('data-marker-id') : marker.markerId;
+    const group = this.clientState.markerGroups.find(g => g.id === groupId);
+    const nodeIndex = group ? this.findNodeIndex(group, markerId) : -1;
+    const node = nodeIndex !== -1 ? this.getGroupNodes(group)[nodeIndex] : null;
+    const nodeMap = node && typeof node === 'object' && !Array.isArray(node) ? node : {};
+
+    let coords = node ? markerToLatLng(node) : null;
+    if (!coords) {
+      const geometry = isElement ? getMarkerGeometry(marker) : marker;
+      const { bbox, projection } = this.clientState.config;
+      coords = geometry ? svgToWgs84(geometry.x, geometry.y, bbox, projection) : null;
+    }
+
+    const region = typeof node === 'string'
+      ? node
+      : (typeof nodeMap.region === 'string' ? nodeMap.region : null);
+
+    return {
+      marker_id: markerId,
+      group_id: groupId,
+      lat: coords ? coords.lat : null,
+      lng: coords ? coords.lng : null,
+      label: nodeMap.label || (isElement ? marker.getAttribute('data-label') : marker.label) || null,
+      region,
+      region_name: region ? getRegionName(region) : null,
+      group_label: group ? group.group_label || group.label || null : null,
+      metadata: nodeMap.metadata || null
+    };
+  },
+
+  getMarkerEventPayload(info) {
+    return {
+      marker_id: info.marker_id,
+      group_id: info.group_id,
+      lat: info.lat,
+      lng: info.lng,
+      label: info.label,
+      region: info.region
+    };
+  },
+
+  setupAccessibility() {
+    const svg = document.getElementById(this.mapId);
+    if (!svg) return;
+
+    this.liveRegion = createLiveRegion(this.el);
+    this.focusedElement = null;
+
+    this.onMapKeydown = (event) => this.handleMapKeydown(event);
+    this.onMarkerFocus = (event) => this.handleMarkerFocus(event);
+    this.onMarkerBlur = () => {
+      if (!this.hoveredMarker && this.tooltip) this.tooltip.hide();
+    };
+
+    this.keyboardSvg = svg;
+    svg.addEventListener('keydown', this.onMapKeydown);
+    svg.addEventListener('focusin', this.onMarkerFocus);
+    svg.addEventListener('focusout', this.onMarkerBlur);
+
+    // Restyle markers and arcs without pulse, fade or flow when asked to
+    this.stopWatchingReducedMotion = onReducedMotionChange(() => {
+      this.markerStyleKeys = new WeakMap();
+      this.reconcileMarkers(this.clientState.markerGroups, null, false);
+    });
+
+    this.updateRovingFocus();
+  },
+
+  announce(message) {
+    if (this.liveRegion) {
+      this.liveRegion.announce(message);
+    }
+  },
+
+  // Markers, spider clones and cluster badges that can take keyboard focus
+  getFocusableMapElements() {
+    if (!this.keyboardSvg) return [];
+
+    return Array.from(this.keyboardSvg.querySelectorAll('.marker-group[data-marker-id], .marker-cluster'))
+      .filter(element => element.hasAttribute('tabindex') && this.isMapElementVisible(element));
+  },
+
+  isMapElementVisible(element) {
+    if (element.style.display === 'none') return false;
+    return typeof getComputedStyle !== 'function' || getComputedStyle(element).display !== 'none';
+  },
+
+  getMapElementPosition(element) {
+    if (element.classList.contains('marker-cluster')) {
+      const circle = element.querySelector('circle');
+      return {
+        x: parseFloat(circle.getAttribute('cx')),
+        y: parseFloat(circle.getAttribute('cy'))
+      };
+    }
+
+    return getMarkerGeometry(element);
+  },
+
+  /**
+   * Keep exactly one marker in the tab order (a roving tabindex).
+   *
+   * Tab moves into the map once, onto the last focused marker if it's
+   * still shown, and the arrow keys move between markers from there.
+   */
+  updateRovingFocus() {
+    if (!this.keyboardSvg) return;
+
+    const focusable = this.getFocusableMapElements();
+    const current = this.focusedElement && focusable.includes(this.focusedElement)
+      ? this.focusedElement
+      : focusable[0] || null;
+
+    this.keyboardSvg.querySelectorAll('[tabindex="0"]').forEach(element => {
+      if (element !== current) element.setAttribute('tabindex', '-1');
+    });
+
+    if (current) {
+      current.setAttribute('tabindex', '0');
+    }
+    this.focusedElement = current;
+  },
+
+  focusMapElement(element) {
+    this.focusedElement = element;
+    this.updateRovingFocus();
+    element.focus();
+  },
+
+  handleMarkerFocus(event) {
+    const element = event.target;
+    if (!element || !element.matches || !element.matches('.marker-group[data-marker-id], .marker-cluster')) return;
+
+    this.focusedElement = element;
+    this.updateRovingFocus();
+
+    // Show the same tooltip a pointer would get
+    if (this.tooltip && this.markerInteractions.tooltips && element.classList.contains('marker-group')) {
+      const rect = element.getBoundingClientRect();
+      this.tooltip.show(this.getMarkerInfo(element), rect.right, rect.top + rect.height / 2);
+    }
+  },
+
+  handleMapKeydown(event) {
+    const element = event.target;
+    if (!element || !element.matches || !element.matches('.marker-group[data-marker-id], .marker-cluster')) return;
+
+    const direction = {
+      ArrowLeft: 'left',
+      ArrowRight: 'right',
+      ArrowUp: 'up',
+      ArrowDown: 'down'
+    }[event.key];
+
+    if (direction) {
+      event.preventDefault();
+
+      const from = this.getMapElementPosition(element);
+      const candidates = this.getFocusableMapElements()
+        .filter(candidate => candidate !== element)
+        .map(candidate => ({ element: candidate, ...this.getMapElementPosition(candidate) }));
+      const next = from && findNearestInDirection(from, candidates, direction);
+
+      if (next) {
+        this.focusMapElement(next.element);
+      }
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+
+      // Activate exactly as a click would
+      if (element.classList.contains('marker-cluster')) {
+        element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      } else {
+        this.handleMarkerClick(element);
+      }
+    } else if (event.key === 'Escape') {
+      this.collapseSpider();
+      this.clearHoveredMarker();
+    }
+  },
+
+  setupViewport() {
+    const svg = document.getElementById(this.mapId);
+    const viewportConfig = this.clientState.config.viewport || {};
+    if (!svg || viewportConfig.enabled === false) return;
+
+    this.viewport = createViewportController(svg, {
+      bbox: this.clientState.config.bbox,
+      minZoom: viewportConfig.min_zoom,
+      maxZoom: viewportConfig.max_zoom,
+      wheelZoom: viewportConfig.wheel_zoom,
+      onChange: (viewport) => this.handleViewportChange(viewport)
+    });
+
+    // Let the LiveView drive the viewport
+    this.handleEvent('zoom_to_regions', ({ regions }) => this.zoomToRegions(regions));
+    this.handleEvent('fit_to_group', ({ group_id }) => this.fitToGroup(group_id));
+    this.handleEvent('reset_viewport', () => this.viewport.reset());
+  },
+
+  handleViewportChange(viewport) {
+    // Keep marker radii constant on screen
+    this.activeMarkers.forEach(marker => setMarkerScale(marker, 1 / viewport.zoom));
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setScale(1 / viewport.zoom);
+      this.canvasRenderer.invalidate();
+    }
+
+    // Clusters and labels depend on zoom but not on panning
+    if (viewport.zoom !== this.layoutZoom) {
+      this.updateMarkerLayout();
+    }
+
+    // Report the settled viewport rather than every wheel or drag step
+    clearTimeout(this.viewportEventTimer);
+    this.viewportEventTimer = setTimeout(() => this.pushViewport(viewport), 150);
+  },
+
+  pushViewport(viewport) {
+    const { bbox, projection } = this.clientState.config;
+    const center = svgToWgs84(
+      viewport.x + viewport.width / 2,
+      viewport.y + viewport.height / 2,
+      bbox,
+      projection
+    );
+
+    this.pushMapEvent('viewport_change', {
+      zoom: viewport.zoom,
+      bounds: {
+        minX: viewport.x,
+        minY: viewport.y,
+        maxX: viewport.x + viewport.width,
+        maxY: viewport.y + viewport.height
+      },
+      center
+    });
+  },
+
+  applyViewportScale(marker) {
+    if (this.viewport) {
+      setMarkerScale(marker, 1 / this.viewport.getViewport().zoom);
+    }
+  },
+
+  zoomToRegions(regions) {
+    if (!this.viewport || !Array.isArray(regions)) return false;
+
+    const { bbox, projection } = this.clientState.config;
+    const points = regions
+      .map(region => regionToSvg(region, bbox, projection))
+      .filter(Boolean);
+
+    return this.viewport.fitBounds(points);
+  },
+
+  fitToGroup(groupId) {
+    if (!this.viewport) return false;
+
+    const group = this.clientState.markerGroups.find(g => g.id === groupId);
+    if (!group) {
+      this.logger.warn('Group not found for fit:', groupId);
       return false;
     }
+
+    const { bbox, projection } = this.clientState.config;
+    const points = (group.nodes || group.markers || [])
+      .map(node => markerToSvg(node, bbox, projection))
+      .filter(Boolean);
+
+    return this.viewport.fitBounds(points);
+  },
+
+  handleConnectionEvents() {
+    // Handle socket disconnect
+    const errorRef = socket.onError(() => {
+      this.logger.warn('Socket connection error');
+      this.enterStaleMode('socket_error');
+      this.updateStatus('socket_error');
+    });
+
+    // Handle socket reconnect
+    const openRef = socket.onOpen(() => {
+      this.logger.info('Socket reconnected, requesting state sync');
+      this.requestStateSync();
+    });
+
+    // Removed when the hook is destroyed, as the socket outlives it
+    this.socketCallbackRefs = [errorRef, openRef];
+  },
+
+  setupStatus() {
+    const badgeConfig = this.clientState.config.status_badge || {};
+    const svg = document.getElementById(this.mapId);
+
+    if (badgeConfig.enabled && svg && svg.parentNode) {
+      this.statusBadge = createStatusBadge(svg.parentNode, {
+        id: `${this.mapId}-status`,
+        position: badgeConfig.position,
+        labels: badgeConfig.labels
+      });
+      // The badge replaces the stylesheet's stale label
+      this.el.classList.add('fly-map-has-status-badge');
+    }
+
+    this.updateStatus('mounted');
+  },
+
+  setupDebugOverlay() {
+    const svg = document.getElementById(this.mapId);
+    if (!svg || !svg.parentNode) return;
+
+    this.debugOverlay = createDebugOverlay(svg.parentNode, {
+      id: `${this.mapId}-debug`,
+      getStats: () => ({
+        markers: this.activeMarkers.size + (this.canvasRenderer ? this.canvasRenderer.size : 0),
+        status: this.getConnectionStatus(),
+        version: this.clientState.version,
+        rejected: this.validationMetrics.rejected
+      })
+    });
+  },
+
+  /**
+   * Current connection status.
+   *
+   * @returns {string} 'connecting', 'live', 'reconnecting' (connection
+   *   lost, rejoin in progress), 'stale' (connection lost, waiting out the
+   *   grace period) or 'fallback' (server rendering)
+   */
+  getConnectionStatus() {
+    if (this.usingFallback) return 'fallback';
+
+    if (this.stale) {
+      return this.reconnectTimer || this.connectionState === 'connecting'
+        ? 'reconnecting'
+        : 'stale';
+    }
+
+    return this.connectionState === 'joined' ? 'live' : 'connecting';
+  },
+
+  // Report status changes to LiveView (`map_status`), to DOM listeners
+  // (`fly-map:status`) and on the badge
+  updateStatus(reason) {
+    const status = this.getConnectionStatus();
+    if (status === this.status) return;
+
+    const previous = this.status || null;
+    this.status = status;
+    this.el.dataset.status = status;
+
+    if (this.statusBadge) {
+      this.statusBadge.update(status);
+    }
+
+    const detail = {
+      status,
+      previous,
+      reason: reason || null,
+      map_id: this.mapId,
+      timestamp: Date.now()
+    };
+    // LiveViews opt in, since they'd need a handle_event clause for it
+    if (this.statusEvents) {
+      this.pushEvent('map_status', detail);
+    }
+    this.dispatchMapEvent('status', detail);
+
+    this.logger.info(`Status ${previous} -> ${status} (${reason})`);
+  },
+
+  dispatchMapEvent(name, detail) {
+    this.el.dispatchEvent(new CustomEvent(`fly-map:${name}`, { detail, bubbles: true }));
+  },
+
+  // Ask the server for the events since our version, or for a full
+  // snapshot if `full` is set or we have no version
+  requestStateSync(full = false) {
+    if (!this.channel || this.channel.state !== 'joined' || this.syncInFlight) {
+      return;
+    }
+
+    this.syncInFlight = true;
+    if (full) {
+      this.fullSyncNeeded = false;
+    }
+    this.channel.push('state_sync', {
+      client_state: {
+        version: this.clientState.version,
+        full,
+        last_update: this.clientState.lastUpdate,
+        marker_count: this.activeMarkers.size
+      }
+    })
+      .receive('ok', (reply) => {
+        this.handleStateSyncReply(reply || {});
+      })
+      .receive('error', (reason) => {
+        this.logger.warn('State sync failed', reason);
+        this.syncInFlight = false;
+      })
+      .receive('timeout', () => {
+        this.logger.warn('State sync timed out');
+        this.syncInFlight = false;
+      });
+  },
+
+  handleStateSyncReply(reply) {
+    if (reply.status === 'delta') {
+      (reply.events || []).forEach(({ event, payload }) => {
+        this.receiveChannelEvent(event, payload);
+      });
+    } else if (reply.status === 'snapshot' && reply.state) {
+      if (!Number.isInteger(reply.version)) {
+        // Without a version the snapshot can't be ordered against events, so
+        // take it as the whole state and let the next versioned event set
+        // our version again
+        this.logger.warn('State sync snapshot without a version', reply.version);
+        this.pendingEvents.clear();
+        this.applyChannelEvent('marker_state', reply.state);
+        this.clientState.version = null;
+      } else {
+        // A snapshot older than our state means the server's versions restarted
+        if (this.clientState.version !== null && reply.version < this.clientState.version) {
+          this.pendingEvents.clear();
+        }
+        this.applyVersionedEvent('marker_state', reply.state, reply.version);
+      }
+    }
+
+    this.syncInFlight = false;
+
+    // Still behind (e.g. the events fell out of the server's log, or we
+    // dropped buffered events meanwhile): start over from a snapshot
+    const behind = Number.isInteger(reply.version) &&
+      (this.clientState.version === null || this.clientState.version < reply.version);
+    if (this.pendingEvents.size > 0 || behind || this.fullSyncNeeded) {
+      this.requestStateSync(true);
+    }
+  },
+
+  /**
+   * Keep the last known markers on screen while the connection recovers.
+   *
+   * The map is marked stale (the `fly-map-stale` class and `data-stale`)
+   * and LiveView events are held back until the channel rejoins. If it
+   * hasn't within the grace period, the map falls back to server rendering.
+   *
+   * @param {string} reason - Why the connection was lost
+   */
+  enterStaleMode(reason) {
+    if (this.stale || this.usingFallback) return;
+
+    this.stale = true;
+    this.el.classList.add('fly-map-stale');
+    this.el.dataset.stale = 'true';
+    this.announce('Connection lost. Showing last known markers.');
+
+    this.logger.warn(`Connection lost (${reason}), keeping stale markers for up to ${this.staleGracePeriod}ms`);
+
+    this.staleTimer = setTimeout(() => {
+      this.staleTimer = null;
+      this.logger.warn('Connection not recovered within grace period');
+      this.fallbackToServerRendering('stale_timeout');
+    }, this.staleGracePeriod);
+  },
+
+  exitStaleMode() {
+    if (!this.stale) return;
+
+    clearTimeout(this.staleTimer);
+    this.staleTimer = null;
+    this.stale = false;
+    this.el.classList.remove('fly-map-stale');
+    delete this.el.dataset.stale;
+  },
+
+  // Back online: send what was held back, then catch up through the channel
+  // rather than a LiveView round trip
+  recoverFromStale() {
+    this.exitStaleMode();
+    this.announce('Reconnected');
+    this.logger.info(`Reconnected, replaying ${this.bufferedPushes.length} buffered events`);
+
+    const pushes = this.bufferedPushes;
+    this.bufferedPushes = [];
+    pushes.forEach(({ event, payload }) => this.pushEvent(event, payload));
+
+    this.requestStateSync(this.clientState.version === null);
+  },
+
+  // LiveView events from the map, held while the map is stale
+  pushMapEvent(event, payload) {
+    if (!this.stale) {
+      this.pushEvent(event, payload);
+      return;
+    }
+
+    // Only the latest hover and viewport matter
+    if (event === 'marker_hover' || event === 'viewport_change') {
+      this.bufferedPushes = this.bufferedPushes.filter(push => push.event !== event);
+    }
+
+    this.bufferedPushes.push({ event, payload });
+    if (this.bufferedPushes.length > this.maxBufferedPushes) {
+      this.bufferedPushes.shift();
+    }
+  },
+
+  fallbackToServerRendering(reason = 'channel_error') {
+    // Already server rendering: just keep checking for recovery
+    if (this.usingFallback) {
+      this.scheduleFallbackRecovery();
+      return;
+    }
+
+    // Events held for a recovery that didn't come are dropped
+    this.exitStaleMode();
+    this.bufferedPushes = [];
+
+    // Clear client-rendered markers
+    if (this.activeMarkers) {
+      this.clearClientMarkers();
+    }
+
+    // Mark as using fallback mode
+    this.usingFallback = true;
+    this.el.dataset.fallbackMode = 'true';
+
+    // Trigger LiveView update by sending an event
+    this.pushEvent('fallback_to_server', {
+      reason,
+      timestamp: Date.now()
+    });
+
+    this.logger.info('Switched to server rendering fallback');
+
+    this.updateStatus(reason);
+
+    // Without browser support there is nothing to recover to
+    if (reason !== 'unsupported') {
+      this.scheduleFallbackRecovery();
+    }
+  },
+
+  // While server rendering, try the channel again every recovery interval
+  // until real-time mode is restored
+  scheduleFallbackRecovery() {
+    if (this.recoveryTimer) return;
+
+    this.recoveryTimer = setTimeout(() => {
+      this.recoveryTimer = null;
+      if (this.connectionState === 'joined') {
+        this.checkFallbackRecovery();
+      } else {
+        this.logger.info('Retrying channel to leave server rendering');
+        this.setupChannel();
+      }
+      this.scheduleFallbackRecovery();
+    }, this.reconnectPolicy.recoveryInterval);
+  },
+
+  // Only leave server rendering once the joined channel answers a ping
+  checkFallbackRecovery() {
+    this.channel.push('ping', {})
+      .receive('ok', () => this.restoreRealTimeMode());
+  },
+
+  restoreRealTimeMode() {
+    if (!this.usingFallback) return;
+
+    clearTimeout(this.recoveryTimer);
+    this.recoveryTimer = null;
+    this.usingFallback = false;
+    delete this.el.dataset.fallbackMode;
+
+    // Redraw the last known state, then catch up with a full snapshot
+    this.renderInitialMarkers();
+    this.pushEvent('real_time_restored', {
+      timestamp: Date.now()
+    });
+    this.requestStateSync(true);
+
+    this.logger.info('Channel healthy again, switched back to real-time rendering');
+    this.updateStatus('recovered');
+  },
+
+  // Enhanced error handling and recovery
+  setupErrorHandling() {
+    // Track connection state
+    this.connectionState = 'connecting';
+    this.reconnectAttempts = 0;
+    this.reconnectPolicy = readReconnectPolicy(this.el.dataset);
+
+    // How long to show stale markers before falling back to server rendering
+    const connectionConfig = this.clientState.config.connection || {};
+    this.staleGracePeriod = connectionConfig.stale_grace_period !== undefined
+      ? connectionConfig.stale_grace_period
+      : 15000;
+    this.stale = false;
+    this.bufferedPushes = [];
+    this.maxBufferedPushes = 100;
+  },
+
+  // Once reconnect attempts run out, the stale grace period decides when to
+  // fall back to server rendering
+  handleChannelError(error) {
+    if (this.usingFallback) {
+      this.scheduleFallbackRecovery();
+    } else if (this.reconnectAttempts < this.reconnectPolicy.maxAttempts) {
+      this.attemptReconnect();
+    } else {
+      this.logger.error('Max reconnection attempts reached');
+    }
+  },
+
+  // A rejoin that fails while stale is one more reconnect attempt; the map
+  // falls back once the attempts run out or the grace period ends. Failing
+  // the first join falls back straight away.
+  handleJoinError() {
+    if (this.stale && this.reconnectAttempts < this.reconnectPolicy.maxAttempts) {
+      this.attemptReconnect();
+      this.updateStatus('channel_error');
+    } else {
+      this.fallbackToServerRendering('channel_error');
+    }
+  },
+
+  handleChannelClose(reason) {
+    if (reason === 'leave') return;
+
+    this.enterStaleMode('channel_closed');
+    this.handleChannelError(reason);
+  },
+
+  attemptReconnect() {
+    // Errors and closes often arrive together; schedule one attempt
+    if (this.reconnectTimer) return;
+
+    this.reconnectAttempts++;
+    const delay = reconnectDelay(this.reconnectPolicy, this.reconnectAttempts);
+
+    this.logger.info(`Attempting reconnection ${this.reconnectAttempts}/${this.reconnectPolicy.maxAttempts} in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.connectionState !== 'joined') {
+        this.setupChannel();
+      }
+    }, delay);
   },
 
   // Check if real-time mode is supported by the browser and environment
@@ -460,31 +2357,31 @@ export function createRealTimeMapHook(socket) {
     try {
       // Check for required browser features
       if (!window.WebSocket) {
-        console.warn('RealTimeMapHook: WebSocket not supported');
+        this.logger.warn('WebSocket not supported');
         return false;
       }
 
       if (!document.createElementNS) {
-        console.warn('RealTimeMapHook: SVG manipulation not supported');
+        this.logger.warn('SVG manipulation not supported');
         return false;
       }
 
       // Check if map SVG exists
-      const mapSvg = document.getElementById(this.mapId || 'fly-region-map');
+      const mapSvg = document.getElementById(this.mapId);
       if (!mapSvg) {
-        console.warn('RealTimeMapHook: Map SVG not found');
+        this.logger.warn('Map SVG not found');
         return false;
       }
 
       // Check for required data attributes
       if (!this.el.dataset.channel) {
-        console.warn('RealTimeMapHook: Channel topic not specified');
+        this.logger.warn('Channel topic not specified');
         return false;
       }
 
       return true;
     } catch (error) {
-      console.error('RealTimeMapHook: Support detection failed', error);
+      this.logger.error('Support detection failed', error);
       return false;
     }
   },
@@ -501,24 +2398,32 @@ export function createRealTimeMapHook(socket) {
       animations: 'animate' in document.createElementNS('http://www.w3.org/2000/svg', 'animate'),
       transforms: 'transform' in document.createElement('div').style,
       observerAPI: !!window.MutationObserver,
-      perfNow: !!window.performance && !!window.performance.now
+      perfNow: !!window.performance && !!window.performance.now,
+      canvas: !!window.CanvasRenderingContext2D && !!window.Path2D
     };
 
-    console.log('RealTimeMapHook: Detected features', features);
+    this.logger.debug('Detected features', features);
     return features;
   },
 
-  // Graceful degradation strategy
-  selectRenderingStrategy() {
+  /**
+   * Graceful degradation strategy.
+   *
+   * @param {number} markerCount - Number of markers to draw, e.g. in a group
+   * @returns {string} 'server', 'canvas' for high marker counts, or 'realtime'
+   */
+  selectRenderingStrategy(markerCount = 0) {
     if (!this.isRealTimeModeSupported()) {
       return 'server';
     }
 
-    const features = this.detectAdvancedFeatures();
+    // Detected once, as this is asked for every group on every reconcile
+    this.advancedFeatures = this.advancedFeatures || this.detectAdvancedFeatures();
+    const features = this.advancedFeatures;
 
     // Use server rendering if critical features are missing
     if (!features.animations || !features.transforms) {
-      console.log('RealTimeMapHook: Using server rendering due to missing browser features');
+      this.logger.info('Using server rendering due to missing browser features');
       return 'server';
     }
 
@@ -526,16 +2431,47 @@ export function createRealTimeMapHook(socket) {
     if (window.navigator && window.navigator.connection) {
       const connection = window.navigator.connection;
       if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
-        console.log('RealTimeMapHook: Using server rendering due to slow connection');
+        this.logger.info('Using server rendering due to slow connection');
         return 'server';
       }
     }
 
+    // Thousands of SVG marker elements stall the browser
+    const renderingConfig = (this.clientState && this.clientState.config.rendering) || {};
+    const threshold = renderingConfig.canvas_threshold || CANVAS_CONFIG.threshold;
+    if (features.canvas && markerCount >= threshold) {
+      return 'canvas';
+    }
+
     return 'realtime';
   }
   };
 }
 
+// Helper functions
+
+function readReconnectPolicy(dataset) {
+  const read = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+
+  return {
+    maxAttempts: read(dataset.reconnectMaxAttempts, RECONNECT_CONFIG.maxAttempts),
+    baseDelay: read(dataset.reconnectBaseDelay, RECONNECT_CONFIG.baseDelay),
+    maxDelay: read(dataset.reconnectMaxDelay, RECONNECT_CONFIG.maxDelay),
+    jitter: Math.min(1, read(dataset.reconnectJitter, RECONNECT_CONFIG.jitter)),
+    recoveryInterval: read(dataset.reconnectRecoveryInterval, RECONNECT_CONFIG.recoveryInterval)
+  };
+}
+
+// Exponential backoff capped at maxDelay, varied by up to ±jitter
+function reconnectDelay(policy, attempt) {
+  const delay = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+  const variation = policy.jitter * (Math.random() * 2 - 1);
+  return Math.round(delay * (1 + variation));
+}
+
 // Deprecated: For backward compatibility only
 // Modern apps should use: createRealTimeMapHook(socket) with a proper Phoenix Socket instance
 export const RealTimeMapHook = {
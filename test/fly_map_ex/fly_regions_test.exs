@@ -37,6 +37,12 @@ defmodule FlyMapEx.FlyRegionsTest do
     assert {:ok, {47.6, -122.3}} = FlyRegions.coordinates("dev")
   end
 
+  test "custom_regions_for_json/0 converts coordinates to lists" do
+    assert FlyRegions.custom_regions_for_json() == %{
+             "dev" => %{name: "Developer", coordinates: [47.6, -122.3], aliases: []}
+           }
+  end
+
   test "num_fly_regions/0 counts custom regions" do
     assert FlyRegions.num_fly_regions() >= 1
     assert FlyRegions.num_fly_regions() == map_size(FlyRegions.fly_regions())
@@ -0,0 +1,118 @@
+defmodule FlyMapEx.SyncLogTest do
+  use ExUnit.Case, async: true
+
+  alias FlyMapEx.SyncLog
+
+  # Stands in for an app's map channel: versions broadcasts through the log,
+  # delivers them to the test process, and answers state_sync like a real
+  # channel's handle_in would
+  defmodule ChannelDouble do
+    def start(opts \\ []) do
+      {:ok, pid} = Agent.start_link(fn -> {SyncLog.new(opts), %{marker_groups: []}} end)
+      pid
+    end
+
+    def broadcast(pid, event, payload) do
+      payload =
+        Agent.get_and_update(pid, fn {log, state} ->
+          {log, payload} = SyncLog.record(log, event, payload)
+          state = if event == "marker_state", do: Map.delete(payload, :version), else: state
+          {payload, {log, state}}
+        end)
+
+      send(self(), {:broadcast, event, payload})
+      payload
+    end
+
+    def handle_in(pid, "state_sync", %{"client_state" => client_state}) do
+      reply =
+        Agent.get(pid, fn {log, state} ->
+          SyncLog.sync_reply(log, client_state, fn -> state end)
+        end)
+
+      {:reply, {:ok, reply}}
+    end
+  end
+
+  describe "record/3" do
+    test "adds an increasing version to each payload" do
+      {log, first} = SyncLog.record(SyncLog.new(), "marker_add", %{group_id: "web"})
+      {log, second} = SyncLog.record(log, "marker_remove", %{group_id: "web"})
+
+      assert first.version == 1
+      assert second.version == 2
+      assert log.version == 2
+    end
+
+    test "keeps at most max_events events" do
+      log =
+        Enum.reduce(1..5, SyncLog.new(max_events: 3), fn _, log ->
+          {log, _} = SyncLog.record(log, "marker_update", %{})
+          log
+        end)
+
+      assert length(log.events) == 3
+      assert SyncLog.since(log, 2) |> elem(1) |> length() == 3
+      assert SyncLog.since(log, 1) == :too_old
+    end
+  end
+
+  describe "state_sync through a channel" do
+    setup do
+      channel = ChannelDouble.start(max_events: 10)
+      state = %{marker_groups: [%{id: "web", nodes: ["fra"]}]}
+      ChannelDouble.broadcast(channel, "marker_state", state)
+      %{channel: channel}
+    end
+
+    test "replies in_sync when the client has every event", %{channel: channel} do
+      assert {:reply, {:ok, %{status: "in_sync", version: 1}}} = sync(channel, %{"version" => 1})
+    end
+
+    test "replies with the missed events after a gap", %{channel: channel} do
+      ChannelDouble.broadcast(channel, "marker_add", %{group_id: "web", marker: "sjc"})
+      ChannelDouble.broadcast(channel, "marker_remove", %{group_id: "web", marker_id: "fra"})
+
+      # The client saw the snapshot (version 1) but missed both later events
+      assert {:reply, {:ok, reply}} = sync(channel, %{"version" => 1})
+
+      assert reply.status == "delta"
+      assert reply.version == 3
+      assert [
+               %{event: "marker_add", payload: %{version: 2}},
+               %{event: "marker_remove", payload: %{version: 3}}
+             ] = reply.events
+    end
+
+    test "replies with a snapshot when the client is too far behind", %{channel: channel} do
+      for _ <- 1..12 do
+        ChannelDouble.broadcast(channel, "marker_update", %{group_id: "web", markers: ["fra"]})
+      end
+
+      assert {:reply, {:ok, reply}} = sync(channel, %{"version" => 1})
+
+      assert reply.status == "snapshot"
+      assert reply.version == 13
+      assert reply.state == %{marker_groups: [%{id: "web", nodes: ["fra"]}], version: 13}
+    end
+
+    test "replies with a snapshot when asked for one or without a version", %{channel: channel} do
+      client_states = [%{"version" => 1, "full" => true}, %{"version" => nil}, %{"version" => 99}]
+
+      for client_state <- client_states do
+        assert {:reply, {:ok, %{status: "snapshot", version: 1}}} = sync(channel, client_state)
+      end
+    end
+
+    test "each broadcast is delivered with its version", %{channel: channel} do
+      ChannelDouble.broadcast(channel, "theme_change", %{theme: %{land: "#111"}})
+
+      assert_received {:broadcast, "marker_state", %{version: 1}}
+      assert_received {:broadcast, "theme_change", %{version: 2}}
+    end
+  end
+
+  defp sync(channel, client_state) do
+    ChannelDouble.handle_in(channel, "state_sync", %{"client_state" => client_state})
+  end
+end
@@ -0,0 +1,179 @@
+import { resetDocument, nextFrame } from './test_helper.js';
+
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCanvasRenderer } from '../../priv/static/js/map_canvas.js';
+import { MARKER_CONFIG } from '../../priv/static/js/map_markers.js';
+
+// jsdom has no 2D canvas or Path2D: record the markers each frame draws instead
+function createFakeContext() {
+  return {
+    draws: 0,
+    setTransform() {},
+    clearRect() {},
+    fill() { this.draws++; },
+    stroke() { this.draws++; },
+    createRadialGradient: () => ({ addColorStop() {} })
+  };
+}
+
+globalThis.Path2D = class Path2D {
+  arc() {}
+};
+
+function marker(id, x, y, style = {}, groupId = 'web') {
+  return { id, x, y, style: { size: 4, ...style }, dataAttrs: { 'data-group-id': groupId } };
+}
+
+describe('canvas renderer', () => {
+  let svg;
+  let context;
+  let renderer;
+
+  beforeEach(() => {
+    svg = resetDocument();
+    svg.getScreenCTM = () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 });
+    context = createFakeContext();
+    mock.method(window.HTMLCanvasElement.prototype, 'getContext', () => context);
+    renderer = createCanvasRenderer(svg);
+  });
+
+  afterEach(() => {
+    renderer.destroy();
+    mock.restoreAll();
+  });
+
+  describe('hitTest', () => {
+    // Distances from the marker's point, within and just past each shape's
+    // hit area at size 4 and scale 1, including the 2px tolerance
+    const reach = {
+      circle: 6,
+      ring: 6,
+      square: 7,
+      diamond: 7,
+      triangle: 8.2
+    };
+
+    Object.entries(reach).forEach(([shape, distance]) => {
+      test(`hits a ${shape} within its hit area`, () => {
+        renderer.createMarker(marker('m', 100, 100, { shape }));
+
+        assert.equal(renderer.hitTest(100 + distance - 0.1, 100).id, 'm');
+        assert.equal(renderer.hitTest(100, 100 - distance + 0.1).id, 'm');
+        assert.equal(renderer.hitTest(100 + distance + 0.1, 100), null);
+      });
+    });
+
+    test('hits a pin by its head, above its point', () => {
+      renderer.createMarker(marker('m', 100, 100, { shape: 'pin' }));
+
+      // Head centred 4.8 above the point, reaching 5.2 plus tolerance
+      assert.equal(renderer.hitTest(100, 100 - 4.8 - 7.1).id, 'm');
+      assert.equal(renderer.hitTest(100, 100 - 4.8 - 7.3), null);
+      assert.equal(renderer.hitTest(100, 100 + 2.5), null);
+    });
+
+    test('shrinks hit areas with the marker scale', () => {
+      renderer.createMarker(marker('m', 100, 100));
+      renderer.setScale(0.5);
+
+      assert.equal(renderer.hitTest(102.9, 100).id, 'm');
+      assert.equal(renderer.hitTest(103.1, 100), null);
+    });
+
+    test('returns the topmost of overlapping markers', () => {
+      renderer.createMarker(marker('below', 100, 100));
+      renderer.createMarker(marker('above', 101, 100));
+
+      assert.equal(renderer.hitTest(100, 100).id, 'above');
+    });
+
+    test('skips removed markers', () => {
+      const record = renderer.createMarker(marker('m', 100, 100));
+      renderer.removeMarker('m');
+
+      assert.equal(renderer.hitTest(100, 100), null);
+      assert.equal(record.isConnected, false);
+    });
+
+    test('skips markers in hidden groups', () => {
+      renderer.createMarker(marker('db-1', 100, 100, {}, 'db'));
+      renderer.createMarker(marker('web-1', 100, 100, {}, 'web'));
+
+      renderer.setGroupVisible('web', false);
+      assert.equal(renderer.hitTest(100, 100).id, 'db-1');
+
+      renderer.setGroupVisible('db', false);
+      assert.equal(renderer.hitTest(100, 100), null);
+
+      renderer.setGroupVisible('web', true);
+      assert.equal(renderer.hitTest(100, 100).id, 'web-1');
+    });
+  });
+
+  describe('animation loop', () => {
+    test('draws static markers once per change', async () => {
+      renderer.createMarker(marker('a', 100, 100));
+      renderer.createMarker(marker('b', 200, 100));
+      await nextFrame();
+      await nextFrame();
+      await nextFrame();
+
+      assert.equal(context.draws, 2);
+
+      renderer.updateMarker('a', { x: 120 });
+      await nextFrame();
+      await nextFrame();
+
+      assert.equal(context.draws, 4);
+    });
+
+    test('does not draw markers in hidden groups', async () => {
+      renderer.createMarker(marker('a', 100, 100, {}, 'web'));
+      renderer.createMarker(marker('b', 200, 100, {}, 'db'));
+      renderer.setGroupVisible('db', false);
+      await nextFrame();
+
+      assert.equal(context.draws, 1);
+    });
+
+    test('keeps redrawing while a marker is fading', async () => {
+      renderer.createMarker(marker('a', 100, 100, { animation: 'fade' }));
+      await nextFrame();
+      const first = context.draws;
+      await nextFrame();
+      await nextFrame();
+
+      assert.ok(context.draws > first);
+    });
+
+    test('stops once a pulse has finished', async () => {
+      const record = renderer.createMarker(marker('a', 100, 100, { animation: 'pulse' }));
+      await nextFrame();
+      await nextFrame();
+      assert.ok(context.draws >= 2);
+
+      // Pulses run for two cycles, as the SVG animation does
+      record.animationStart -= 2 * parseFloat(MARKER_CONFIG.animationDuration) * 1000;
+      await nextFrame();
+      const settled = context.draws;
+      await nextFrame();
+      await nextFrame();
+
+      assert.equal(context.draws, settled);
+    });
+
+    test('stops the loop when destroyed', async () => {
+      renderer.createMarker(marker('a', 100, 100, { animation: 'fade' }));
+      await nextFrame();
+      renderer.destroy();
+      const drawn = context.draws;
+      await nextFrame();
+      await nextFrame();
+
+      assert.equal(context.draws, drawn);
+      assert.equal(document.querySelector('canvas'), null);
+    });
+  });
+});
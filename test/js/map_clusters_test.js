@@ -0,0 +1,102 @@
+import { resetDocument } from './test_helper.js';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  clusterMarkers,
+  createClusterBadge,
+  createSpider,
+  spiderPositions,
+  CLUSTER_CONFIG
+} from '../../priv/static/js/map_clusters.js';
+import { createMarkerContext, createMarker } from '../../priv/static/js/map_markers.js';
+
+// Three nearby web markers, one further off, and a db marker on top of the first
+const markers = [
+  { id: 'a', group: 'web', x: 100, y: 100 },
+  { id: 'b', group: 'web', x: 104, y: 103 },
+  { id: 'c', group: 'web', x: 112, y: 100 },
+  { id: 'd', group: 'web', x: 150, y: 100 },
+  { id: 'e', group: 'db', x: 100, y: 100 }
+];
+
+// The hook divides the radius by the zoom level, as here
+function clustersAtZoom(zoom) {
+  return clusterMarkers(markers, { radius: CLUSTER_CONFIG.radius / zoom });
+}
+
+describe('clusterMarkers', () => {
+  test('merges nearby markers of the same group at zoom 1', () => {
+    const clusters = clustersAtZoom(1);
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(clusters[0].members, ['a', 'b', 'c']);
+    assert.equal(clusters[0].id, 'cluster-web-a');
+    assert.equal(clusters[0].group, 'web');
+    assert.equal(clusters[0].x, (100 + 104 + 112) / 3);
+    assert.equal(clusters[0].y, (100 + 103 + 100) / 3);
+  });
+
+  test('splits clusters apart as the map zooms in', () => {
+    assert.deepEqual(clustersAtZoom(2).map(cluster => cluster.members), [['a', 'b']]);
+    assert.deepEqual(clustersAtZoom(8), []);
+  });
+
+  test('merges more markers as the map zooms out', () => {
+    assert.deepEqual(clustersAtZoom(0.25).map(cluster => cluster.members), [['a', 'b', 'c', 'd']]);
+  });
+
+  test('never merges markers of different groups', () => {
+    const clusters = clusterMarkers(markers, { radius: 1000 });
+
+    assert.deepEqual(clusters.map(cluster => cluster.group), ['web']);
+    assert.ok(!clusters[0].members.includes('e'));
+  });
+
+  test('leaves groups smaller than minClusterSize unclustered', () => {
+    assert.deepEqual(clusterMarkers(markers, { radius: 20, minClusterSize: 4 }), []);
+  });
+});
+
+describe('spiderPositions', () => {
+  test('lays small clusters out on a circle around the centre', () => {
+    const positions = spiderPositions(4, 100, 100, 20);
+
+    assert.equal(positions.length, 4);
+    positions.forEach(({ x, y }) => {
+      assert.ok(Math.abs(Math.hypot(x - 100, y - 100) - 20) < 1e-9);
+    });
+  });
+
+  test('spreads large clusters on a spiral without repeating positions', () => {
+    const positions = spiderPositions(30, 0, 0, 20);
+    const keys = positions.map(({ x, y }) => `${x.toFixed(3)},${y.toFixed(3)}`);
+
+    assert.equal(new Set(keys).size, 30);
+  });
+});
+
+describe('cluster elements', () => {
+  test('creates a badge showing the count', () => {
+    resetDocument();
+    const badge = createClusterBadge({ id: 'cluster-web-a', count: 3, x: 10, y: 20, style: { colour: '#3b82f6' } });
+
+    assert.equal(badge.querySelector('text').textContent, '3');
+    assert.equal(badge.querySelector('circle').getAttribute('fill'), '#3b82f6');
+    assert.equal(badge.getAttribute('aria-label'), '3 clustered markers');
+    assert.equal(badge.getAttribute('aria-expanded'), 'false');
+  });
+
+  test('fans cloned members out from the cluster centre', () => {
+    const context = createMarkerContext(resetDocument());
+    const elements = ['a', 'b'].map(id => createMarker({ id, x: 100, y: 100, context }));
+    const cluster = { id: 'cluster-web-a', x: 100, y: 100, members: ['a', 'b'] };
+
+    const { element, clones } = createSpider(cluster, elements);
+
+    assert.equal(element.querySelectorAll('line').length, 2);
+    assert.deepEqual(clones.map(clone => clone.getAttribute('data-spider-for')), ['a', 'b']);
+    assert.deepEqual(clones.map(clone => clone.id), ['a-spider', 'b-spider']);
+  });
+});
@@ -0,0 +1,210 @@
+import './test_helper.js';
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  registerRegion,
+  unregisterRegion,
+  registerRegionAlias,
+  loadRegions,
+  resetRegions,
+  listRegions,
+  resolveRegionCode,
+  getRegionCoordinates,
+  getRegionName,
+  FLY_REGIONS,
+  PROJECTIONS,
+  DEFAULT_PROJECTION,
+  getProjection,
+  isKnownProjection,
+  registerProjection,
+  wgs84ToSvg,
+  svgToWgs84,
+  nearestRegion
+} from '../../priv/static/js/map_coordinates.js';
+
+const BBOX = { minX: 0, minY: 0, maxX: 800, maxY: 400 };
+
+const SAMPLE_POINTS = [[0, 0], [37.7749, -122.4194], [-33.9, 151.2], [64.1, -21.9], [-54.8, -68.3]];
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('region registry', () => {
+  afterEach(() => {
+    resetRegions();
+  });
+
+  test('registers a region from a coordinates tuple or lat/lng', () => {
+    assert.equal(registerRegion('dev', { name: 'Development', coordinates: [47.6, -122.3] }), true);
+    assert.equal(registerRegion('lab', { lat: 0, lng: 12.5 }), true);
+
+    assert.deepEqual(getRegionCoordinates('dev'), { lat: 47.6, lng: -122.3 });
+    assert.equal(getRegionName('dev'), 'Development');
+    assert.deepEqual(getRegionCoordinates('lab'), { lat: 0, lng: 12.5 });
+    assert.equal(getRegionName('lab'), 'lab');
+    assert.ok(listRegions().includes('dev'));
+  });
+
+  test('rejects regions without a code or valid coordinates', () => {
+    assert.equal(registerRegion('', { coordinates: [0, 0] }), false);
+    assert.equal(registerRegion(42, { coordinates: [0, 0] }), false);
+    assert.equal(registerRegion('north', { coordinates: [95, 0] }), false);
+    assert.equal(registerRegion('nowhere'), false);
+
+    assert.equal(resolveRegionCode('north'), null);
+    assert.equal(resolveRegionCode('nowhere'), null);
+  });
+
+  test('resolves aliases to their canonical code', () => {
+    registerRegion('laptop', { coordinates: [49.3, -123.1], aliases: ['local'] });
+    registerRegionAlias('sfo', 'sjc');
+
+    assert.equal(resolveRegionCode('local'), 'laptop');
+    assert.equal(resolveRegionCode('sfo'), 'sjc');
+    assert.equal(resolveRegionCode('sjc'), 'sjc');
+    assert.equal(resolveRegionCode('missing'), null);
+    assert.equal(resolveRegionCode(null), null);
+    assert.equal(getRegionName('sfo'), getRegionName('sjc'));
+    assert.ok(!listRegions().includes('local'));
+  });
+
+  test('ignores an alias whose region is not known', () => {
+    registerRegionAlias('ghost', 'not-a-region');
+
+    assert.equal(resolveRegionCode('ghost'), null);
+  });
+
+  test('drops old aliases when a region is registered again', () => {
+    registerRegion('laptop', { coordinates: [49.3, -123.1], aliases: ['local'] });
+    registerRegion('laptop', { coordinates: [50, -120] });
+
+    assert.equal(resolveRegionCode('local'), null);
+    assert.deepEqual(getRegionCoordinates('laptop'), { lat: 50, lng: -120 });
+  });
+
+  test('restores a built-in region when its custom override is removed', () => {
+    const [lat, lng] = FLY_REGIONS.fra;
+    registerRegion('fra', { coordinates: [1, 2] });
+    assert.deepEqual(getRegionCoordinates('fra'), { lat: 1, lng: 2 });
+
+    assert.equal(unregisterRegion('fra'), true);
+    assert.deepEqual(getRegionCoordinates('fra'), { lat, lng });
+    assert.equal(unregisterRegion('fra'), false);
+  });
+
+  test('loads a set of regions, optionally replacing the current ones', () => {
+    registerRegion('old', { coordinates: [1, 1] });
+
+    assert.equal(loadRegions({
+      dev: { coordinates: [47.6, -122.3] },
+      bad: { coordinates: [0, 200] }
+    }), 1);
+    assert.equal(resolveRegionCode('old'), 'old');
+
+    assert.equal(loadRegions({ dev: { coordinates: [47.6, -122.3] } }, { replace: true }), 1);
+    assert.equal(resolveRegionCode('old'), null);
+    assert.equal(loadRegions(null), 0);
+  });
+});
+
+describe('projections', () => {
+  test('looks projections up by name, ignoring case and dashes', () => {
+    assert.equal(getProjection('Equal-Earth'), PROJECTIONS.equal_earth);
+    assert.equal(getProjection('mercator'), PROJECTIONS.mercator);
+    assert.equal(getProjection(PROJECTIONS.robinson), PROJECTIONS.robinson);
+  });
+
+  test('falls back to the default for unknown projections', () => {
+    assert.equal(getProjection('winkel_tripel'), PROJECTIONS[DEFAULT_PROJECTION]);
+    assert.equal(getProjection(undefined), PROJECTIONS[DEFAULT_PROJECTION]);
+    assert.equal(isKnownProjection('winkel_tripel'), false);
+    assert.equal(isKnownProjection('equal-earth'), true);
+  });
+
+  test('registers custom projections', () => {
+    const pacific = {
+      forward: (lat, lng) => ({ x: ((lng + 360) % 360) - 180, y: lat }),
+      inverse: (x, y) => ({ lat: y, lng: ((x + 360) % 360) - 180 }),
+      bounds: { minX: -180, minY: -90, maxX: 180, maxY: 90 }
+    };
+
+    assert.equal(registerProjection('Plate-Carree-Pacific', pacific), true);
+    assert.equal(getProjection('plate_carree_pacific'), pacific);
+    assert.equal(registerProjection('broken', { forward: () => ({}) }), false);
+    assert.equal(isKnownProjection('broken'), false);
+
+    delete PROJECTIONS.plate_carree_pacific;
+  });
+
+  Object.keys(PROJECTIONS).forEach(name => {
+    test(`${name} inverts its forward transform`, () => {
+      const projection = PROJECTIONS[name];
+
+      SAMPLE_POINTS.forEach(([lat, lng]) => {
+        const point = projection.forward(lat, lng);
+        const back = projection.inverse(point.x, point.y);
+        assertClose(back.lat, lat);
+        assertClose(back.lng, lng);
+      });
+    });
+
+    test(`${name} maps the world onto the bounding box`, () => {
+      const centre = wgs84ToSvg(0, 0, BBOX, name);
+      assertClose(centre.x, 400);
+      assertClose(centre.y, 200);
+
+      const west = wgs84ToSvg(0, -180, BBOX, name);
+      const east = wgs84ToSvg(0, 180, BBOX, name);
+      assertClose(west.x, 0);
+      assertClose(east.x, 800);
+    });
+  });
+
+  test('places the same point differently under each projection', () => {
+    const ys = ['equirectangular', 'mercator', 'robinson', 'equal_earth']
+      .map(name => wgs84ToSvg(60, 10, BBOX, name).y);
+
+    assert.equal(new Set(ys).size, ys.length);
+  });
+});
+
+describe('svgToWgs84', () => {
+  Object.keys(PROJECTIONS).forEach(name => {
+    test(`round-trips SVG points under ${name}`, () => {
+      SAMPLE_POINTS.forEach(([lat, lng]) => {
+        const { x, y } = wgs84ToSvg(lat, lng, BBOX, name);
+        const back = svgToWgs84(x, y, BBOX, name);
+        assertClose(back.lat, lat);
+        assertClose(back.lng, lng);
+      });
+    });
+  });
+
+  test('returns null for points outside the projected world', () => {
+    assert.equal(svgToWgs84(900, 100, BBOX), null);
+    assert.equal(svgToWgs84(400, -10, BBOX), null);
+  });
+});
+
+describe('nearestRegion', () => {
+  afterEach(() => {
+    resetRegions();
+  });
+
+  test('finds the closest known region', () => {
+    const [lat, lng] = FLY_REGIONS.fra;
+    const nearest = nearestRegion(lat + 0.1, lng);
+
+    assert.equal(nearest.region, 'fra');
+    assert.ok(nearest.distance > 0 && nearest.distance < 20);
+  });
+
+  test('includes custom regions', () => {
+    registerRegion('pole', { coordinates: [-89, 0] });
+
+    assert.equal(nearestRegion(-90, 0).region, 'pole');
+  });
+});
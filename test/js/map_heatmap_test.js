@@ -0,0 +1,125 @@
+import { resetDocument } from './test_helper.js';
+
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  isHeatmapGroup,
+  heatmapPoints,
+  densityGrid,
+  rampColour,
+  createHeatmapLayer
+} from '../../priv/static/js/map_heatmap.js';
+import { wgs84ToSvg, MAP_BBOX } from '../../priv/static/js/map_coordinates.js';
+
+const BBOX = { minX: 0, minY: 0, maxX: 100, maxY: 50 };
+
+function cellValue(grid, x, y) {
+  return grid.values[Math.floor(y / grid.cellSize) * grid.cols + Math.floor(x / grid.cellSize)];
+}
+
+describe('heatmapPoints', () => {
+  test('projects nodes and reads their weights', () => {
+    const points = heatmapPoints([{ lat: 50, lng: 9, requests: 120 }, 'fra'], { weightField: 'requests' });
+    const { x, y } = wgs84ToSvg(50, 9, MAP_BBOX);
+
+    assert.deepEqual(points[0], { x, y, weight: 120 });
+    assert.equal(points[1].weight, 1);
+  });
+
+  test('skips nodes without coordinates or with no weight', () => {
+    const points = heatmapPoints(['not-a-region', { region: 'fra', weight: 0 }, { region: 'fra', weight: -2 }, 'ams']);
+
+    assert.equal(points.length, 1);
+  });
+
+  test('only treats groups styled as heatmaps as heatmaps', () => {
+    assert.equal(isHeatmapGroup({ style: { render: 'heatmap' } }), true);
+    assert.equal(isHeatmapGroup({ style: {} }), false);
+    assert.equal(isHeatmapGroup(null), false);
+  });
+});
+
+describe('densityGrid', () => {
+  test('covers the bounding box with cells', () => {
+    const grid = densityGrid([], BBOX, { cellSize: 2 });
+
+    assert.equal(grid.cols, 50);
+    assert.equal(grid.rows, 25);
+    assert.equal(grid.values.length, 50 * 25);
+    assert.equal(grid.max, 0);
+  });
+
+  test('is densest at a point and fades to nothing at its radius', () => {
+    const grid = densityGrid([{ x: 51, y: 25, weight: 1 }], BBOX, { radius: 10, cellSize: 2 });
+
+    assert.equal(cellValue(grid, 51, 25), grid.max);
+    assert.ok(cellValue(grid, 55, 25) > 0);
+    assert.ok(cellValue(grid, 55, 25) < cellValue(grid, 53, 25));
+    assert.equal(cellValue(grid, 63, 25), 0);
+  });
+
+  test('scales density with weight and adds overlapping points', () => {
+    const single = densityGrid([{ x: 51, y: 25, weight: 1 }], BBOX, { radius: 10, cellSize: 2 });
+    const heavy = densityGrid([{ x: 51, y: 25, weight: 3 }], BBOX, { radius: 10, cellSize: 2 });
+    const stacked = densityGrid([{ x: 51, y: 25, weight: 1 }, { x: 51, y: 25, weight: 2 }], BBOX, { radius: 10, cellSize: 2 });
+
+    assert.ok(Math.abs(heavy.max - 3 * single.max) < 1e-6);
+    stacked.values.forEach((value, index) => assert.ok(Math.abs(value - heavy.values[index]) < 1e-6));
+  });
+
+  test('is densest where points cluster', () => {
+    const grid = densityGrid([
+      { x: 21, y: 25, weight: 1 },
+      { x: 23, y: 25, weight: 1 },
+      { x: 79, y: 25, weight: 1 }
+    ], BBOX, { radius: 10, cellSize: 2 });
+
+    assert.ok(cellValue(grid, 22, 25) > cellValue(grid, 79, 25));
+  });
+
+  test('ignores points outside the grid', () => {
+    const grid = densityGrid([{ x: -50, y: -50, weight: 1 }], BBOX, { radius: 10, cellSize: 2 });
+
+    assert.equal(grid.max, 0);
+  });
+});
+
+describe('rampColour', () => {
+  test('interpolates between ramp stops', () => {
+    const ramp = ['#000000', '#ffffff', '#ff0000'];
+
+    assert.deepEqual(rampColour(ramp, 0), [0, 0, 0]);
+    assert.deepEqual(rampColour(ramp, 0.25), [128, 128, 128]);
+    assert.deepEqual(rampColour(ramp, 0.5), [255, 255, 255]);
+    assert.deepEqual(rampColour(ramp, 1), [255, 0, 0]);
+    assert.deepEqual(rampColour(ramp, 2), [255, 0, 0]);
+  });
+
+  test('handles ramps with fewer than two colours', () => {
+    assert.deepEqual(rampColour(['#ff0000'], 0.7), [255, 0, 0]);
+    assert.deepEqual(rampColour([], 0.7), [0, 0, 0]);
+  });
+});
+
+describe('createHeatmapLayer', () => {
+  test('draws nothing when there are no points', () => {
+    resetDocument();
+    const layer = createHeatmapLayer({ id: 'heatmap-web', points: [] });
+
+    assert.equal(layer.getAttribute('class'), 'heatmap-layer');
+    assert.equal(layer.children.length, 0);
+  });
+
+  test('warns when the browser cannot draw to a canvas', () => {
+    resetDocument();
+    const getContext = mock.method(window.HTMLCanvasElement.prototype, 'getContext', () => null);
+    const logger = { warn: mock.fn() };
+
+    const layer = createHeatmapLayer({ id: 'heatmap-web', points: [{ x: 10, y: 10, weight: 1 }], logger });
+
+    assert.equal(layer.children.length, 0);
+    assert.equal(logger.warn.mock.callCount(), 1);
+    getContext.mock.restore();
+  });
+});
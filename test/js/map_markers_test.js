@@ -0,0 +1,183 @@
+import { resetDocument } from './test_helper.js';
+
+import { describe, test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createMarkerContext,
+  createSingleMarker,
+  describeMarkersFromGroups,
+  getMarkerAccessibleName,
+  getMarkerElementId,
+  getNodeKey,
+  indexMarkerIds,
+  addToMarkerIndex
+} from '../../priv/static/js/map_markers.js';
+
+const group = {
+  id: 'production',
+  group_label: 'Prod Servers',
+  style: { colour: '#3b82f6', size: 6 }
+};
+
+describe('createSingleMarker', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createMarkerContext(resetDocument());
+  });
+
+  test('accepts every node format the Elixir normalizer accepts', () => {
+    const nodes = [
+      'fra',
+      [37.77, -122.42],
+      { lat: 0, lng: 0 },
+      { label: 'web-1', region: 'ams' },
+      { label: 'Custom', coordinates: [40.7, -74] },
+      { label: 'Encoded', coordinates: { lat: 51.5, lng: -0.1 } }
+    ];
+
+    nodes.forEach(node => {
+      const marker = createSingleMarker(node, group, { context });
+      assert.ok(marker, `no marker for ${JSON.stringify(node)}`);
+      assert.equal(marker.getAttribute('data-group-id'), 'production');
+    });
+  });
+
+  test('returns null for a node without valid coordinates', () => {
+    assert.equal(createSingleMarker('not-a-region', group, { context }), null);
+    assert.equal(createSingleMarker([95, 0], group, { context }), null);
+  });
+
+  test('applies the group style and data attributes', () => {
+    const marker = createSingleMarker({ label: 'web-1', region: 'fra' }, group, { context });
+    const shape = marker.querySelector('.marker-shape');
+
+    assert.equal(marker.id, 'fly-region-map:production:web-1%40fra');
+    assert.equal(marker.getAttribute('data-marker-id'), 'web-1@fra');
+    assert.equal(marker.getAttribute('data-group'), 'Prod_Servers');
+    assert.equal(shape.getAttribute('fill'), '#3b82f6');
+    assert.equal(shape.getAttribute('r'), '6');
+  });
+
+  test('shares one glow gradient per colour within the map', () => {
+    const glowing = { ...group, style: { colour: '#ef4444', glow: true } };
+    const first = createSingleMarker('fra', glowing, { context });
+    const second = createSingleMarker('ams', glowing, { context });
+    context.svg.append(first, second);
+
+    const gradients = context.svg.querySelectorAll('radialGradient');
+    assert.equal(gradients.length, 1);
+    assert.equal(first.querySelector('.marker-shape').getAttribute('fill'), `url(#${gradients[0].id})`);
+  });
+
+  test('makes the marker a named button for screen readers', () => {
+    const marker = createSingleMarker({ label: 'web-1', region: 'fra' }, group, { context });
+
+    assert.equal(marker.getAttribute('role'), 'button');
+    assert.equal(marker.getAttribute('tabindex'), '-1');
+    assert.match(marker.getAttribute('aria-label'), /^web-1, .+ \(fra\), Prod Servers$/);
+  });
+});
+
+describe('getMarkerAccessibleName', () => {
+  test('falls back to the marker ID when nothing else is known', () => {
+    assert.equal(getMarkerAccessibleName([10, 20], {}, '10,20'), '10,20');
+  });
+});
+
+describe('indexMarkerIds', () => {
+  test('indexes the same marker IDs as describeMarkersFromGroups', () => {
+    const nodes = ['fra', 'nowhere', 'fra', { id: 'm-1', region: 'ams' }, [10, 20]];
+    const described = describeMarkersFromGroups([{ id: 'web', nodes }]);
+    const index = indexMarkerIds(nodes);
+
+    assert.deepEqual(
+      Array.from(index.ids),
+      described.map(d => [d.markerId, d.nodeIndex])
+    );
+  });
+
+  test('numbers appended repeats after the indexed ones', () => {
+    const index = indexMarkerIds(['fra', 'fra']);
+
+    assert.equal(addToMarkerIndex(index, 'fra', 2), 'fra#2');
+    assert.equal(addToMarkerIndex(index, 'nowhere', 3), null);
+    assert.equal(index.ids.get('fra#2'), 2);
+  });
+});
+
+describe('getMarkerElementId', () => {
+  test('scopes IDs to the map', () => {
+    assert.equal(getMarkerElementId('web', 'fra', 'map-a'), 'map-a:web:fra');
+    assert.notEqual(getMarkerElementId('web', 'fra', 'map-a'), getMarkerElementId('web', 'fra', 'map-b'));
+  });
+
+  test('keeps IDs distinct whatever the group and marker IDs contain', () => {
+    assert.notEqual(getMarkerElementId('a-b', 'c', 'm'), getMarkerElementId('a', 'b-c', 'm'));
+    assert.notEqual(getMarkerElementId('a:b', 'c', 'm'), getMarkerElementId('a', 'b:c', 'm'));
+    assert.equal(getMarkerElementId('a b', 'c', 'm'), 'm:a%20b:c');
+  });
+
+  test('scopes described markers to the given map', () => {
+    const [descriptor] = describeMarkersFromGroups([{ id: 'web', nodes: ['fra'] }], undefined, undefined, 'map-a');
+    assert.equal(descriptor.id, 'map-a:web:fra');
+  });
+});
+
+describe('getNodeKey', () => {
+  test('keys coordinates the same whether given as a list or a map', () => {
+    assert.equal(getNodeKey({ label: 'lab', coordinates: [0, 12.5] }), 'lab@0,12.5');
+    assert.equal(getNodeKey({ label: 'lab', coordinates: { lat: 0, lng: 12.5 } }), 'lab@0,12.5');
+    assert.equal(getNodeKey({ latitude: 0, longitude: 12.5 }), '0,12.5');
+    assert.equal(getNodeKey([37, -122]), '37,-122');
+  });
+});
+
+describe('describeMarkersFromGroups', () => {
+  test('keys markers by content rather than position', () => {
+    const before = describeMarkersFromGroups([{ id: 'web', nodes: ['fra', 'ams', 'sjc'] }]);
+    const after = describeMarkersFromGroups([{ id: 'web', nodes: ['ams', 'sjc'] }]);
+
+    assert.deepEqual(before.map(d => d.markerId), ['fra', 'ams', 'sjc']);
+    assert.deepEqual(after.map(d => d.markerId), ['ams', 'sjc']);
+    assert.deepEqual(after.map(d => d.nodeIndex), [0, 1]);
+  });
+
+  test('prefers explicit IDs and numbers repeated nodes', () => {
+    const descriptors = describeMarkersFromGroups([
+      { id: 'web', nodes: ['fra', 'fra', { id: 'm-1', region: 'fra' }] }
+    ]);
+
+    assert.deepEqual(descriptors.map(d => d.markerId), ['fra', 'fra#1', 'm-1']);
+  });
+
+  test('keeps the first of several nodes with the same explicit ID', () => {
+    const warnings = [];
+    const logger = { warn: (...args) => warnings.push(args) };
+    const descriptors = describeMarkersFromGroups([
+      { id: 'web', nodes: [{ id: 'm-1', region: 'fra' }, { id: 'm-1', region: 'ams' }, 'sjc'] }
+    ], undefined, undefined, 'map', logger);
+
+    assert.deepEqual(descriptors.map(d => [d.markerId, d.nodeIndex]), [['m-1', 0], ['sjc', 2]]);
+    assert.equal(warnings.length, 1);
+  });
+
+  test('skips nodes without valid coordinates', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const descriptors = describeMarkersFromGroups([{ id: 'web', nodes: ['fra', 'nowhere'] }]);
+    warn.mock.restore();
+
+    assert.deepEqual(descriptors.map(d => d.markerId), ['fra']);
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  test('reports skipped nodes to the given logger', () => {
+    const warnings = [];
+    const logger = { warn: (...args) => warnings.push(args) };
+    describeMarkersFromGroups([{ id: 'web', nodes: ['fra', 'nowhere'] }], undefined, undefined, 'map', logger);
+
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0][1], 'nowhere');
+  });
+});
@@ -0,0 +1,87 @@
+import './test_helper.js';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validatePayload, isValidMarker } from '../../priv/static/js/map_schema.js';
+import { describeMarkersFromGroups } from '../../priv/static/js/map_markers.js';
+
+describe('isValidMarker', () => {
+  test('accepts every node format, including latitude 0', () => {
+    const markers = [
+      'fra',
+      [0, 0],
+      { lat: 0, lng: 0 },
+      { latitude: 0, longitude: 10 },
+      { label: 'web-1', region: 'fra' },
+      { label: 'lab', coordinates: [0, 12.5] },
+      { label: 'lab', coordinates: { lat: 0, lng: 12.5 } },
+      { id: 42, region: 'fra' }
+    ];
+
+    markers.forEach(marker => assert.ok(isValidMarker(marker), JSON.stringify(marker)));
+  });
+
+  test('rejects markers without coordinates or a usable ID', () => {
+    const markers = [
+      'not-a-region',
+      '',
+      [95, 0],
+      { label: 'web-1' },
+      { id: { nested: true }, region: 'fra' },
+      { label: ['web'], region: 'fra' },
+      null
+    ];
+
+    markers.forEach(marker => assert.equal(isValidMarker(marker), false, JSON.stringify(marker)));
+  });
+
+  test('every valid marker can be described for rendering', () => {
+    const nodes = [{ label: 'lab', coordinates: { lat: 0, lng: 12.5 } }, { id: 7, lat: 1, lng: 2 }];
+    nodes.forEach(node => assert.ok(isValidMarker(node)));
+
+    const descriptors = describeMarkersFromGroups([{ id: 'web', nodes }]);
+    assert.deepEqual(descriptors.map(d => d.markerId), ['lab@0,12.5', '7']);
+  });
+});
+
+describe('validatePayload', () => {
+  test('reports each problem with its field path', () => {
+    const errors = validatePayload('marker_batch', {
+      operations: [
+        { op: 'add', group_id: 'web', marker: [0, 0] },
+        { op: 'zap' },
+        { op: 'remove', group_id: 1 }
+      ]
+    });
+
+    assert.deepEqual(errors, [
+      'operations[1].op: must be one of update, add, remove',
+      'operations[2].group_id: must be a string',
+      'operations[2].marker_id: is required'
+    ]);
+  });
+
+  test('checks nested marker groups and arcs', () => {
+    const errors = validatePayload('marker_state', {
+      marker_groups: [{ id: 'web', nodes: ['fra', [95, 0]] }],
+      arcs: [{ id: 1, from: 'fra', to: { group_id: 'web', marker_id: 'fra' } }]
+    });
+
+    assert.deepEqual(errors, ['marker_groups[0].nodes[1]: must be a valid marker']);
+  });
+
+  test('requires a group ID with a marker arc endpoint', () => {
+    const errors = validatePayload('arc_add', {
+      arc: { id: 1, from: { group_id: 'web', marker_id: 'fra' }, to: { marker_id: 'web-fra' } }
+    });
+
+    assert.deepEqual(errors, ['arc.to: must be a valid arc endpoint']);
+  });
+
+  test('rejects payloads that are not objects and unknown events', () => {
+    assert.deepEqual(validatePayload('arc_remove', null), ['payload: must be an object']);
+    assert.deepEqual(validatePayload('arc_remove', { arc_id: 3 }), []);
+    assert.deepEqual(validatePayload('nope', {}), ['nope: unknown event']);
+  });
+});
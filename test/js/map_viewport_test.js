@@ -0,0 +1,92 @@
+import { resetDocument } from './test_helper.js';
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createViewportController } from '../../priv/static/js/map_viewport.js';
+
+function wheel(svg, init = {}) {
+  const event = new window.WheelEvent('wheel', { deltaY: -100, bubbles: true, cancelable: true, ...init });
+  svg.dispatchEvent(event);
+  return event;
+}
+
+// jsdom has no PointerEvent, so pointer events are plain events with the fields the controller reads
+function pointer(target, type, pointerId, clientX, clientY) {
+  const event = new window.MouseEvent(type, { clientX, clientY, bubbles: true, cancelable: true });
+  event.pointerId = pointerId;
+  target.dispatchEvent(event);
+}
+
+describe('viewport controller', () => {
+  let svg;
+  let viewport;
+
+  beforeEach(() => {
+    svg = resetDocument();
+    // No layout in jsdom: zoom about the view centre
+    svg.getScreenCTM = () => null;
+    svg.setPointerCapture = () => {};
+  });
+
+  afterEach(() => {
+    viewport.destroy();
+  });
+
+  test('lets a plain wheel scroll the page', () => {
+    viewport = createViewportController(svg);
+
+    const event = wheel(svg);
+
+    assert.equal(event.defaultPrevented, false);
+    assert.equal(viewport.getViewport().zoom, 1);
+  });
+
+  test('zooms on the wheel with Ctrl or Cmd held', () => {
+    viewport = createViewportController(svg);
+
+    assert.equal(wheel(svg, { ctrlKey: true }).defaultPrevented, true);
+    const zoom = viewport.getViewport().zoom;
+    assert.ok(zoom > 1);
+
+    assert.equal(wheel(svg, { metaKey: true }).defaultPrevented, true);
+    assert.ok(viewport.getViewport().zoom > zoom);
+  });
+
+  test('zooms on a plain wheel when wheelZoom is set', () => {
+    viewport = createViewportController(svg, { wheelZoom: true });
+
+    assert.equal(wheel(svg).defaultPrevented, true);
+    assert.ok(viewport.getViewport().zoom > 1);
+  });
+
+  test('swallows the click that ends a drag', () => {
+    viewport = createViewportController(svg);
+    let clicks = 0;
+    svg.addEventListener('click', () => clicks++);
+
+    pointer(svg, 'pointerdown', 1, 100, 100);
+    pointer(svg, 'pointermove', 1, 150, 100);
+    pointer(svg, 'pointerup', 1, 150, 100);
+    svg.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    assert.equal(clicks, 0);
+  });
+
+  test('does not swallow a click after a drag that ended outside the map', () => {
+    viewport = createViewportController(svg);
+    let clicks = 0;
+    svg.addEventListener('click', () => clicks++);
+
+    // The browser sends no click to the map when the drag is released off it
+    pointer(svg, 'pointerdown', 1, 100, 100);
+    pointer(svg, 'pointermove', 1, 150, 100);
+    pointer(svg, 'pointerup', 1, 900, 100);
+
+    pointer(svg, 'pointerdown', 2, 200, 200);
+    pointer(svg, 'pointerup', 2, 200, 200);
+    svg.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    assert.equal(clicks, 1);
+  });
+});
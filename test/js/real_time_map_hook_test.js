@@ -0,0 +1,644 @@
+import { createFakeSocket, resetDocument, mountHook, nextFrame, sleep, waitFor } from './test_helper.js';
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRealTimeMapHook } from '../../priv/static/js/real_time_map_hook.js';
+import { getMarkerElementId } from '../../priv/static/js/map_markers.js';
+import { isMarkerTransitioning } from '../../priv/static/js/map_transitions.js';
+import { getArcElementId } from '../../priv/static/js/map_arcs.js';
+
+// Instant updates and no clustering, so positions can be read straight away
+const config = {
+  transitions: { enabled: false },
+  clustering: { enabled: false },
+  viewport: { enabled: false }
+};
+
+function mount(nodes = ['fra', 'ams', 'sjc'], options = {}) {
+  return mountHook(createRealTimeMapHook, {
+    marker_groups: [{ id: 'web', group_label: 'Web', nodes, style: { colour: '#3b82f6' } }],
+    config,
+    ...options.state
+  }, options);
+}
+
+function markerEl(hook, markerId) {
+  return hook.activeMarkers.get(getMarkerElementId('web', markerId, hook.mapId));
+}
+
+function markerIds(hook) {
+  return Array.from(hook.activeMarkers.values()).map(marker => marker.getAttribute('data-marker-id'));
+}
+
+describe('marker reconciliation', () => {
+  let mounted;
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('renders the initial markers', () => {
+    mounted = mount();
+    assert.deepEqual(markerIds(mounted.hook), ['fra', 'ams', 'sjc']);
+  });
+
+  test('adds a marker without recreating the others', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+    const fra = markerEl(hook, 'fra');
+
+    channel.emit('marker_add', { group_id: 'web', marker: { label: 'db', region: 'lhr' } });
+    await nextFrame();
+
+    assert.deepEqual(markerIds(hook), ['fra', 'ams', 'sjc', 'db@lhr']);
+    assert.equal(markerEl(hook, 'fra'), fra);
+    assert.ok(fra.isConnected);
+  });
+
+  test('removes a marker by stable ID without shifting the others', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+    const sjc = markerEl(hook, 'sjc');
+
+    channel.emit('marker_remove', { group_id: 'web', marker_id: 'fra' });
+    await nextFrame();
+
+    assert.deepEqual(markerIds(hook), ['ams', 'sjc']);
+    assert.equal(document.querySelector('[data-marker-id="fra"]'), null);
+    assert.equal(markerEl(hook, 'sjc'), sjc);
+  });
+
+  test('resolves marker IDs through a batch of adds and removes', async () => {
+    mounted = mount(['fra', 'ams', 'fra']);
+    const { hook, channel } = mounted;
+
+    channel.emit('marker_batch', {
+      operations: [
+        { op: 'add', group_id: 'web', marker: 'sjc' },
+        { op: 'remove', group_id: 'web', marker_id: 'ams' },
+        { op: 'remove', group_id: 'web', marker_id: 'sjc' },
+        { op: 'add', group_id: 'web', marker: 'fra' },
+        { op: 'remove', group_id: 'web', marker_id: 'fra' },
+        // With the first fra gone, its repeats move up one
+        { op: 'remove', group_id: 'web', marker_id: 'fra#1' }
+      ]
+    });
+    await nextFrame();
+
+    assert.deepEqual(hook.clientState.markerGroups[0].nodes, ['fra']);
+    assert.deepEqual(markerIds(hook), ['fra']);
+    assert.equal(hook.findNodeIndex(hook.clientState.markerGroups[0], 'fra'), 0);
+  });
+
+  test('moves a marker with an explicit ID in place', async () => {
+    mounted = mount([{ id: 'm-1', region: 'fra' }, 'ams']);
+    const { hook, channel } = mounted;
+    const marker = markerEl(hook, 'm-1');
+    const before = marker.querySelector('.marker-shape').getAttribute('cx');
+
+    channel.emit('marker_update', { group_id: 'web', markers: [{ id: 'm-1', region: 'sjc' }, 'ams'] });
+    await nextFrame();
+
+    assert.equal(markerEl(hook, 'm-1'), marker);
+    assert.notEqual(marker.querySelector('.marker-shape').getAttribute('cx'), before);
+  });
+
+  test('adds a node whose coordinates are a map', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+
+    channel.emit('marker_add', {
+      group_id: 'web',
+      marker: { label: 'lab', coordinates: { lat: 0, lng: 12.5 } }
+    });
+    await nextFrame();
+
+    assert.ok(markerEl(hook, 'lab@0,12.5'));
+  });
+
+  test('draws arcs between markers by group and stable marker ID', async () => {
+    mounted = mount([{ label: 'web-1', region: 'fra' }, 'sjc']);
+    const { hook, channel } = mounted;
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams' });
+    channel.emit('arc_add', {
+      arc: { id: 'a1', from: { group_id: 'web', marker_id: 'web-1@fra' }, to: { group_id: 'web', marker_id: 'sjc' } }
+    });
+    await nextFrame();
+
+    const from = markerEl(hook, 'web-1@fra').querySelector('.marker-shape');
+    const path = document.querySelector('.arc-layer path');
+    const [, x, y] = path.getAttribute('d').split(' ');
+    assert.ok(Math.abs(Number(x) - Number(from.getAttribute('cx'))) < 0.01);
+    assert.ok(Math.abs(Number(y) - Number(from.getAttribute('cy'))) < 0.01);
+  });
+
+  test('keeps arcs attached to a marker through its transition', async () => {
+    mounted = mountHook(createRealTimeMapHook, {
+      marker_groups: [{ id: 'web', nodes: [{ id: 'a', region: 'fra' }, 'sjc'] }],
+      arcs: [{ id: 'a-sjc', from: { group_id: 'web', marker_id: 'a' }, to: { group_id: 'web', marker_id: 'sjc' } }],
+      config: { ...config, transitions: { enabled: true, duration: 40 } }
+    });
+    const { hook, channel } = mounted;
+    const shape = markerEl(hook, 'a').querySelector('.marker-shape');
+    const arcStart = () => document.querySelector('.arc-layer path').getAttribute('d').split(' ').slice(1, 3).map(Number);
+    const before = arcStart();
+
+    channel.emit('marker_update', { group_id: 'web', markers: [{ id: 'a', region: 'syd' }, 'sjc'] });
+    await waitFor(() => !isMarkerTransitioning(markerEl(hook, 'a').id, hook.markerContext) && arcStart()[0] !== before[0]);
+
+    const [x, y] = arcStart();
+    assert.ok(Math.abs(x - Number(shape.getAttribute('cx'))) < 0.01);
+    assert.ok(Math.abs(y - Number(shape.getAttribute('cy'))) < 0.01);
+    assert.notDeepEqual([x, y], before);
+  });
+
+  test('gives markers on two maps distinct element IDs', () => {
+    resetDocument('<svg id="map-a" viewBox="0 0 800 391"></svg><svg id="map-b" viewBox="0 0 800 391"></svg>');
+    const other = mount(['fra', 'ams'], { dataset: { mapId: 'map-a' } });
+    mounted = mount(['fra', 'ams'], { dataset: { mapId: 'map-b' } });
+
+    const ids = Array.from(document.querySelectorAll('.marker-group')).map(marker => marker.id);
+    assert.equal(ids.length, 4);
+    assert.equal(new Set(ids).size, 4);
+    assert.equal(document.getElementById(getMarkerElementId('web', 'fra', 'map-a')).closest('svg').id, 'map-a');
+
+    other.hook.destroyed();
+  });
+
+  test('keeps arcs with the same ID on two maps apart', async () => {
+    resetDocument('<svg id="map-a" viewBox="0 0 800 391"></svg><svg id="map-b" viewBox="0 0 800 391"></svg>');
+    const state = { state: { arcs: [{ id: 'a1', from: 'fra', to: 'sjc' }] } };
+    const other = mount(['fra', 'sjc'], { ...state, dataset: { mapId: 'map-a' } });
+    mounted = mount(['fra', 'sjc'], { ...state, dataset: { mapId: 'map-b' } });
+    const arc = (mapId) => document.querySelector(`#${mapId} path[data-arc-id="a1"]`);
+
+    assert.notEqual(arc('map-a').id, arc('map-b').id);
+    assert.equal(document.getElementById(getArcElementId('a1', 'map-b')), arc('map-b'));
+
+    mounted.channel.emit('arc_update', { arc: { id: 'a1', style: { colour: '#ef4444' } } });
+    mounted.channel.emit('arc_remove', { arc_id: 'a1' });
+    other.channel.emit('arc_update', { arc: { id: 'a1', style: { colour: '#22c55e' } } });
+    await nextFrame();
+
+    assert.equal(arc('map-b'), null);
+    assert.equal(arc('map-a').getAttribute('stroke'), '#22c55e');
+
+    other.hook.destroyed();
+  });
+
+  test('places markers with the configured projection', () => {
+    const cy = (hook) => Number(markerEl(hook, 'fra').querySelector('.marker-shape').getAttribute('cy'));
+    const plain = mount(['fra']);
+    const equirectangular = cy(plain.hook);
+    plain.hook.destroyed();
+
+    mounted = mountHook(createRealTimeMapHook, {
+      marker_groups: [{ id: 'web', nodes: ['fra'] }],
+      config: { ...config, projection: 'mercator' }
+    });
+
+    assert.notEqual(cy(mounted.hook), equirectangular);
+  });
+
+  test('renders one element for nodes sharing an explicit ID', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+
+    channel.emit('marker_state', {
+      marker_groups: [{ id: 'web', nodes: [{ id: 'm-1', region: 'fra' }, { id: 'm-1', region: 'ams' }] }]
+    });
+    await nextFrame();
+    channel.emit('marker_state', { marker_groups: [{ id: 'web', nodes: ['sjc'] }] });
+    await nextFrame();
+
+    assert.deepEqual(markerIds(hook), ['sjc']);
+    assert.equal(document.querySelectorAll('.marker-group').length, 1);
+  });
+
+  test('replaces the markers on marker_state', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+    const ams = markerEl(hook, 'ams');
+
+    channel.emit('marker_state', { marker_groups: [{ id: 'web', nodes: ['ams', 'nrt'] }] });
+    await nextFrame();
+
+    assert.deepEqual(markerIds(hook), ['ams', 'nrt']);
+    assert.equal(markerEl(hook, 'ams'), ams);
+  });
+});
+
+describe('marker accessibility', () => {
+  let mounted;
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('keeps exactly one marker in the tab order', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+    const tabbable = () => document.querySelectorAll('.marker-group[tabindex="0"]');
+
+    assert.equal(tabbable().length, 1);
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'nrt' });
+    await nextFrame();
+    assert.equal(tabbable().length, 1);
+
+    hook.activeMarkers.forEach(marker => {
+      assert.equal(marker.getAttribute('role'), 'button');
+      assert.ok(marker.getAttribute('aria-label'));
+    });
+  });
+
+  test('moves focus between markers with the arrow keys', () => {
+    mounted = mount(['sjc', 'fra']);
+    const sjc = markerEl(mounted.hook, 'sjc');
+    const fra = markerEl(mounted.hook, 'fra');
+
+    sjc.focus();
+    sjc.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+    assert.equal(document.activeElement, fra);
+    assert.equal(fra.getAttribute('tabindex'), '0');
+    assert.equal(sjc.getAttribute('tabindex'), '-1');
+  });
+
+  test('announces marker changes', async () => {
+    mounted = mount();
+    mounted.channel.emit('marker_add', { group_id: 'web', marker: 'nrt' });
+    await nextFrame();
+    await sleep(150);
+
+    assert.match(mounted.hook.el.textContent, /Added/);
+  });
+});
+
+describe('payload validation', () => {
+  let mounted;
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('rejects an invalid payload before it touches client state', async () => {
+    mounted = mount();
+    const { hook, channel } = mounted;
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'nowhere' });
+    channel.emit('marker_add', { group_id: 'web', marker: { id: { bad: true }, region: 'lhr' } });
+    await nextFrame();
+
+    assert.deepEqual(hook.clientState.markerGroups[0].nodes, ['fra', 'ams', 'sjc']);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams', 'sjc']);
+    assert.deepEqual(hook.getValidationMetrics().byEvent, { marker_add: 2 });
+  });
+
+  test('reports rejected payloads to the server', () => {
+    mounted = mount();
+    mounted.channel.emit('group_toggle', { group_id: 'web', visible: 'yes', version: 3 });
+
+    const reports = mounted.channel.pushes.filter(([event]) => event === 'client_error');
+    assert.deepEqual(reports.map(([, payload]) => payload), [{
+      type: 'invalid_payload',
+      event: 'group_toggle',
+      errors: ['visible: must be a boolean'],
+      version: 3,
+      map_id: 'fly-region-map'
+    }]);
+  });
+
+  test('logs the rejected payload only at the debug level', () => {
+    const entries = [];
+    const sink = (level, message, ...args) => entries.push({ level, message, args });
+    mounted = mount(undefined, { hookOptions: { logger: { level: 'warn', sink } } });
+
+    mounted.channel.emit('marker_add', { group_id: 'web', marker: 'nowhere', secret: 'token' });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'warn');
+    assert.match(entries[0].message, /Rejected invalid marker_add payload/);
+    assert.doesNotMatch(JSON.stringify(entries), /token/);
+  });
+});
+
+describe('logging', () => {
+  let mounted;
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('reports library warnings through the hook logger', () => {
+    const entries = [];
+    const sink = (level, message) => entries.push(`${level}: ${message}`);
+    mounted = mountHook(createRealTimeMapHook, {
+      marker_groups: [{ id: 'web', nodes: ['fra', 'nowhere'] }],
+      config: { ...config, projection: 'winkel_tripel' }
+    }, { hookOptions: { logger: { level: 'warn', sink } } });
+
+    assert.deepEqual(entries, [
+      'warn: Unknown map projection "winkel_tripel", using equirectangular',
+      'warn: Skipping marker without valid coordinates in group web:'
+    ]);
+  });
+});
+
+describe('versioned events', () => {
+  let mounted;
+
+  // Starts at version 1 with the channel joined and its catch-up sync
+  // answered, then replies to later syncs with `replies`
+  async function mountAtVersion(replies = {}) {
+    const socket = createFakeSocket();
+    socket.replies = { state_sync: { status: 'ok', response: { status: 'delta', version: 1, events: [] } } };
+    mounted = mount(['fra'], { socket, state: { version: 1 } });
+    await waitFor(() => mounted.channel.state === 'joined' && !mounted.hook.syncInFlight);
+
+    socket.replies = replies;
+    mounted.channel.pushes.length = 0;
+    return mounted;
+  }
+
+  function syncRequests(channel) {
+    return channel.pushes
+      .filter(([event]) => event === 'state_sync')
+      .map(([, payload]) => payload.client_state);
+  }
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('catches up on join on top of the server-rendered state', async () => {
+    const socket = createFakeSocket();
+    socket.replies = {
+      state_sync: {
+        status: 'ok',
+        response: {
+          status: 'delta',
+          version: 2,
+          events: [{ event: 'marker_add', payload: { group_id: 'web', marker: 'ams', version: 2 } }]
+        }
+      }
+    };
+    mounted = mount(['fra'], { socket, state: { version: 1 } });
+    const { hook } = mounted;
+
+    await waitFor(() => hook.clientState.version === 2);
+    await nextFrame();
+
+    assert.deepEqual(hook.clientState.markerGroups[0].nodes, ['fra', 'ams']);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams']);
+  });
+
+  test('applies reordered events in version order', async () => {
+    const { hook, channel } = await mountAtVersion();
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'sjc', version: 3 });
+    assert.deepEqual(hook.clientState.markerGroups[0].nodes, ['fra']);
+    assert.equal(hook.clientState.version, 1);
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams', version: 2 });
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, 3);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams', 'sjc']);
+    assert.equal(hook.pendingEvents.size, 0);
+  });
+
+  test('drops duplicate and stale events', async () => {
+    const { hook, channel } = await mountAtVersion();
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams', version: 2 });
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams', version: 2 });
+    channel.emit('marker_remove', { group_id: 'web', marker_id: 'fra', version: 1 });
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, 2);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams']);
+  });
+
+  test('fills a gap from the delta in the state sync reply', async () => {
+    const { hook, channel } = await mountAtVersion({
+      state_sync: {
+        status: 'ok',
+        response: {
+          status: 'delta',
+          version: 3,
+          events: [{ event: 'marker_add', payload: { group_id: 'web', marker: 'ams', version: 2 } }]
+        }
+      }
+    });
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'sjc', version: 3 });
+    assert.deepEqual(syncRequests(channel).map(({ version, full }) => ({ version, full })), [
+      { version: 1, full: false }
+    ]);
+
+    await sleep(5);
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, 3);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams', 'sjc']);
+    assert.equal(syncRequests(channel).length, 1);
+  });
+
+  test('takes a snapshot when the server can no longer send a delta', async () => {
+    const { hook, channel } = await mountAtVersion({
+      state_sync: {
+        status: 'ok',
+        response: { status: 'snapshot', version: 9, state: { marker_groups: [{ id: 'web', nodes: ['nrt'] }] } }
+      }
+    });
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'sjc', version: 5 });
+    await sleep(5);
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, 9);
+    assert.deepEqual(markerIds(hook), ['nrt']);
+    assert.equal(hook.pendingEvents.size, 0);
+  });
+
+  test('treats a snapshot without an integer version as a full resync', async () => {
+    const { hook, channel } = await mountAtVersion({
+      state_sync: {
+        status: 'ok',
+        response: { status: 'snapshot', version: '9', state: { marker_groups: [{ id: 'web', nodes: ['nrt'] }] } }
+      }
+    });
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'sjc', version: 5 });
+    await sleep(5);
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, null);
+    assert.deepEqual(markerIds(hook), ['nrt']);
+    assert.equal(hook.pendingEvents.size, 0);
+    assert.equal(syncRequests(channel).length, 1);
+
+    // The next versioned event sets the version again
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams', version: 10 });
+    assert.equal(hook.clientState.version, 10);
+  });
+
+  test('treats a non-integer event version as unversioned', async () => {
+    const { hook, channel } = await mountAtVersion();
+
+    channel.emit('marker_add', { group_id: 'web', marker: 'ams', version: 2.5 });
+    await nextFrame();
+
+    assert.equal(hook.clientState.version, 1);
+    assert.deepEqual(markerIds(hook), ['fra', 'ams']);
+    assert.deepEqual(syncRequests(channel), []);
+  });
+
+  test('drops the buffer and asks for a full sync once too far behind', async () => {
+    const { hook, channel } = await mountAtVersion();
+    hook.maxPendingEvents = 3;
+
+    // The first gap sends a sync; the rest arrive while it's in flight
+    [3, 4, 5, 6].forEach(version => {
+      channel.emit('marker_add', { group_id: 'web', marker: [version, version], version });
+    });
+
+    assert.equal(hook.pendingEvents.size, 0);
+    assert.deepEqual(syncRequests(channel).map(request => request.full), [false]);
+
+    // The reply to the first sync can't catch us up, so a full one follows
+    hook.handleStateSyncReply({ status: 'delta', version: 2, events: [] });
+    assert.deepEqual(syncRequests(channel).map(request => request.full), [false, true]);
+  });
+});
+
+describe('reconnection', () => {
+  let mounted;
+
+  // Quick, predictable retries
+  const dataset = {
+    reconnectMaxAttempts: '3',
+    reconnectBaseDelay: '5',
+    reconnectJitter: '0'
+  };
+
+  function fallbacks(pushes) {
+    return pushes.filter(([event]) => event === 'fallback_to_server');
+  }
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('falls back when the first join fails', async () => {
+    const socket = createFakeSocket();
+    socket.joinReply = 'error';
+    mounted = mount(undefined, { socket, dataset });
+    await waitFor(() => mounted.hook.usingFallback);
+
+    assert.deepEqual(fallbacks(mounted.pushes).map(([, payload]) => payload.reason), ['channel_error']);
+  });
+
+  test('keeps retrying while stale when a rejoin fails', async () => {
+    mounted = mount(undefined, { dataset });
+    const { hook, socket, channel } = mounted;
+    await waitFor(() => channel.state === 'joined');
+
+    socket.joinReply = 'error';
+    channel.errCb('connection lost');
+    await waitFor(() => socket.channels.length === 3);
+
+    assert.equal(hook.stale, true);
+    assert.ok(!hook.usingFallback);
+    assert.deepEqual(fallbacks(mounted.pushes), []);
+    assert.equal(hook.el.dataset.status, 'reconnecting');
+
+    // The third rejoin succeeds and recovers from stale mode
+    socket.joinReply = 'ok';
+    await waitFor(() => hook.connectionState === 'joined');
+
+    assert.equal(hook.stale, false);
+    assert.deepEqual(fallbacks(mounted.pushes), []);
+  });
+
+  test('falls back once the reconnect attempts run out', async () => {
+    mounted = mount(undefined, { dataset });
+    const { hook, socket, channel } = mounted;
+    await waitFor(() => channel.state === 'joined');
+
+    socket.joinReply = 'error';
+    channel.errCb('connection lost');
+    await waitFor(() => hook.usingFallback);
+
+    assert.equal(socket.channels.length, 4);
+    assert.equal(fallbacks(mounted.pushes).length, 1);
+  });
+});
+
+describe('connection status', () => {
+  let mounted;
+
+  beforeEach(() => {
+    resetDocument();
+  });
+
+  afterEach(() => {
+    mounted.hook.destroyed();
+  });
+
+  test('dispatches DOM events without pushing to the LiveView by default', async () => {
+    const statuses = [];
+    const listener = (event) => statuses.push(event.detail.status);
+    document.addEventListener('fly-map:status', listener);
+
+    mounted = mount();
+    await sleep(5);
+    document.removeEventListener('fly-map:status', listener);
+
+    assert.deepEqual(statuses, ['connecting', 'live']);
+    assert.equal(mounted.hook.el.dataset.status, 'live');
+    assert.deepEqual(mounted.pushes.filter(([event]) => event === 'map_status'), []);
+  });
+
+  test('pushes map_status when the map opts in', async () => {
+    mounted = mount(undefined, { dataset: { statusEvents: 'true' } });
+    await sleep(5);
+
+    const pushed = mounted.pushes.filter(([event]) => event === 'map_status');
+    assert.deepEqual(pushed.map(([, payload]) => payload.status), ['connecting', 'live']);
+  });
+
+  test('pushes map_status for every map with the statusEvents option', async () => {
+    mounted = mount(undefined, { hookOptions: { statusEvents: true } });
+    await sleep(5);
+
+    assert.equal(mounted.pushes.filter(([event]) => event === 'map_status').length, 2);
+  });
+});
@@ -0,0 +1,183 @@
+// Shared setup for the client-side tests: a jsdom document with a map SVG,
+// and a fake Phoenix socket for mounting the real-time hook.
+//
+// Import this before any module under priv/static/js, since some of them
+// read browser globals when first used.
+
+import { JSDOM } from 'jsdom';
+
+const MAP_HTML = '<div id="root"><svg id="fly-region-map" viewBox="0 0 800 391"><defs></defs></svg></div>';
+
+const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${MAP_HTML}</body></html>`, {
+  pretendToBeVisual: true
+});
+
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.CustomEvent = dom.window.CustomEvent;
+globalThis.MouseEvent = dom.window.MouseEvent;
+// Frame timestamps on the same clock as performance.now(), as in a browser
+globalThis.requestAnimationFrame = (callback) => dom.window.requestAnimationFrame(() => callback(performance.now()));
+globalThis.cancelAnimationFrame = dom.window.cancelAnimationFrame.bind(dom.window);
+
+// jsdom has neither WebSockets nor Web Animations
+dom.window.WebSocket = function WebSocket() {};
+dom.window.Element.prototype.animate = function animate() {
+  return { cancel() {}, finish() {}, onfinish: null };
+};
+
+/**
+ * Replace the document body with a fresh map SVG.
+ *
+ * @param {string} html - Body HTML (defaults to a single map)
+ * @returns {SVGSVGElement} The first map SVG
+ */
+export function resetDocument(html = MAP_HTML) {
+  document.head.innerHTML = '';
+  document.body.innerHTML = html;
+  return document.querySelector('svg');
+}
+
+/**
+ * Wait for the next animation frame, when queued marker renders flush.
+ *
+ * @returns {Promise} Resolves after the frame
+ */
+export function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Wait for timers and replies scheduled with setTimeout.
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+export function sleep(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a condition holds, checking every millisecond.
+ *
+ * @param {Function} condition - Returns true once the wait is over
+ * @param {number} timeout - Milliseconds to wait before failing
+ * @returns {Promise} Resolves when the condition holds, rejects on timeout
+ */
+export async function waitFor(condition, timeout = 500) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await sleep(1);
+  }
+}
+
+/**
+ * Create a fake Phoenix socket.
+ *
+ * Channels record pushes and registered handlers; `emit(event, payload)`
+ * delivers a broadcast, and `errCb`/`closeCb` hold the channel's error and
+ * close callbacks. Joins succeed on the next tick unless `joinReply` says
+ * otherwise ('ok', 'error' or null for no reply).
+ *
+ * @returns {Object} Socket with a `channels` list of every channel created
+ */
+export function createFakeSocket() {
+  const channels = [];
+
+  return {
+    channels,
+    joinReply: 'ok',
+    replies: {},
+    onError(callback) { this.errCb = callback; return 'socket-error'; },
+    onOpen(callback) { this.openCb = callback; return 'socket-open'; },
+    off() {},
+    channel(topic, params) {
+      const socket = this;
+      const channel = {
+        topic,
+        params,
+        state: 'joining',
+        handlers: {},
+        pushes: [],
+        on(event, callback) { (this.handlers[event] ||= []).push(callback); return event; },
+        off(event) { delete this.handlers[event]; },
+        join() {
+          const reply = socket.joinReply;
+          return receiver((status, callback) => {
+            if (status === reply) {
+              setTimeout(() => {
+                channel.state = status === 'ok' ? 'joined' : 'errored';
+                callback({});
+              }, 0);
+            }
+          });
+        },
+        leave() {
+          this.state = 'closed';
+          return receiver(() => {});
+        },
+        push(event, payload) {
+          this.pushes.push([event, payload]);
+          const reply = socket.replies[event];
+          return receiver((status, callback) => {
+            if (reply && reply.status === status) {
+              setTimeout(() => callback(typeof reply.response === 'function'
+                ? reply.response(payload)
+                : reply.response), 0);
+            }
+          });
+        },
+        onError(callback) { this.errCb = callback; },
+        onClose(callback) { this.closeCb = callback; },
+        emit(event, payload) {
+          (this.handlers[event] || []).forEach(handler => handler(payload));
+        }
+      };
+
+      channels.push(channel);
+      return channel;
+    }
+  };
+}
+
+/**
+ * Mount the real-time hook on a new element, as LiveView would.
+ *
+ * @param {Function} createHook - createRealTimeMapHook
+ * @param {Object} state - Initial state for data-initial-state
+ * @param {Object} options - {dataset, hookOptions, socket}
+ * @returns {Object} {hook, socket, channel, pushes} where pushes lists the
+ *   hook's LiveView pushEvent calls
+ */
+export function mountHook(createHook, state, options = {}) {
+  const socket = options.socket || createFakeSocket();
+  const el = document.createElement('div');
+  el.dataset.channel = 'map:test';
+  el.dataset.mapId = 'fly-region-map';
+  el.dataset.initialState = JSON.stringify(state);
+  Object.assign(el.dataset, options.dataset || {});
+  document.body.appendChild(el);
+
+  const pushes = [];
+  const hook = Object.assign(createHook(socket, {logger: false, ...(options.hookOptions || {})}), {
+    el,
+    pushEvent(event, payload) { pushes.push([event, payload]); },
+    handleEvent() {}
+  });
+  hook.mounted();
+
+  return { hook, socket, channel: socket.channels[socket.channels.length - 1], pushes };
+}
+
+function receiver(onReceive) {
+  const chain = {
+    receive(status, callback) {
+      onReceive(status, callback);
+      return chain;
+    }
+  };
+  return chain;
+}